@@ -1,9 +1,14 @@
+import { highlightCode } from './code-highlight.js';
+
 export class ChatManager {
     constructor() {
         this.chatContainer = document.getElementById('chatHistory');
         this.currentStreamingMessage = null;
         this.lastUserMessageType = null; // 'text' or 'audio'
         this.currentTranscript = ''; // Add this to store accumulated transcript
+        this.currentSources = null; // Sources block of the current model turn
+        this.lastCodeBlock = null; // Code block awaiting its execution result
+        this.toolCallCards = new Map(); // function call id -> card element
     }
 
     addUserMessage(text) {
@@ -43,16 +48,176 @@ export class ChatManager {
         this.scrollToBottom();
     }
 
-    updateStreamingMessage(text) {
+    /**
+     * Appends text to the model message that is being streamed
+     * @param {string} text - Transcribed words, or a chunk of the model's text response
+     * @param {boolean} [isTextChunk=false] - Chunks of text responses already contain their spacing
+     */
+    updateStreamingMessage(text, isTextChunk = false) {
         if (!this.currentStreamingMessage) {
             this.startModelMessage();
         }
-        this.currentTranscript += ' ' + text; // Append new text to the transcript
+        this.currentTranscript += isTextChunk ? text : ' ' + text; // Append new text to the transcript
         this.currentStreamingMessage.textContent = this.currentTranscript;
         this.scrollToBottom();
     }
 
+    /**
+     * Adds a card for a tool call that just started running.
+     * @param {Object} toolCall - Function call with id, name and args
+     */
+    addToolCall({ id, name, args }) {
+        const card = document.createElement('div');
+        card.className = 'chat-message tool-call running';
+
+        const header = document.createElement('div');
+        header.className = 'tool-call-header';
+        const title = document.createElement('span');
+        title.className = 'tool-call-name';
+        title.textContent = `🔧 ${name}`;
+        const status = document.createElement('span');
+        status.className = 'tool-call-status';
+        status.textContent = 'running';
+        header.append(title, status);
+
+        const argsPre = document.createElement('pre');
+        argsPre.className = 'tool-call-args';
+        argsPre.textContent = JSON.stringify(args || {}, null, 2);
+
+        card.append(header, argsPre);
+        this.chatContainer.appendChild(card);
+        this.toolCallCards.set(id, card);
+        this.scrollToBottom();
+    }
+
+    /**
+     * Updates a tool call card with the status, duration and result of the call.
+     * @param {Object} result - Outcome with id, status, durationMs and output or error
+     */
+    updateToolCall({ id, status, durationMs, output, error }) {
+        const card = this.toolCallCards.get(id);
+        if (!card) return;
+        this.toolCallCards.delete(id);
+
+        card.classList.remove('running');
+        card.classList.add(status);
+        card.querySelector('.tool-call-status').textContent = `${status} · ${durationMs} ms`;
+
+        if (status === 'cancelled') return;
+
+        const details = document.createElement('details');
+        const summary = document.createElement('summary');
+        summary.textContent = status === 'failed' ? 'Error' : 'Result';
+        const resultPre = document.createElement('pre');
+        const value = status === 'failed' ? error : output;
+        resultPre.textContent = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+        details.append(summary, resultPre);
+        card.appendChild(details);
+        this.scrollToBottom();
+    }
+
+    /**
+     * Shows code generated by Gemini's code execution tool as a highlighted block.
+     * @param {Object} executableCode - executableCode part with language and code
+     */
+    addExecutableCode(executableCode) {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = 'chat-message model-message code-execution';
+
+        const language = document.createElement('div');
+        language.className = 'code-language';
+        language.textContent = (executableCode.language || 'code').toLowerCase();
+
+        const pre = document.createElement('pre');
+        const code = document.createElement('code');
+        code.innerHTML = highlightCode(executableCode.code || '');
+        pre.appendChild(code);
+
+        messageDiv.append(language, pre);
+        this.chatContainer.appendChild(messageDiv);
+        this.lastCodeBlock = messageDiv;
+        this.scrollToBottom();
+    }
+
+    /**
+     * Shows the output of executed code beneath the code block that produced it.
+     * @param {Object} codeExecutionResult - codeExecutionResult part with outcome and output
+     */
+    addCodeExecutionResult(codeExecutionResult) {
+        const outcome = codeExecutionResult.outcome || 'OUTCOME_OK';
+        const resultDiv = document.createElement('div');
+        resultDiv.className = 'code-result' + (outcome === 'OUTCOME_OK' ? '' : ' failed');
+
+        const label = document.createElement('div');
+        label.className = 'code-language';
+        label.textContent = outcome === 'OUTCOME_OK' ? 'output' : outcome.replace('OUTCOME_', '').toLowerCase().replace(/_/g, ' ');
+
+        const pre = document.createElement('pre');
+        pre.textContent = codeExecutionResult.output || '';
+        resultDiv.append(label, pre);
+
+        if (this.lastCodeBlock) {
+            this.lastCodeBlock.appendChild(resultDiv);
+            this.lastCodeBlock = null;
+        } else {
+            resultDiv.classList.add('chat-message', 'model-message');
+            this.chatContainer.appendChild(resultDiv);
+        }
+        this.scrollToBottom();
+    }
+
+    /**
+     * Shows the web sources Google Search grounded the current answer on.
+     * Sources arriving in several messages of the same turn are merged into one block.
+     * @param {Object} groundingMetadata - groundingMetadata from the server content
+     */
+    addGroundingSources(groundingMetadata) {
+        const chunks = (groundingMetadata.groundingChunks || []).filter((chunk) => chunk.web?.uri);
+        if (!chunks.length) return;
+
+        if (!this.currentSources) {
+            const sourcesDiv = document.createElement('div');
+            sourcesDiv.className = 'chat-message model-message grounding-sources';
+            const title = document.createElement('div');
+            title.className = 'grounding-sources-title';
+            title.textContent = 'Sources';
+            const list = document.createElement('ol');
+            sourcesDiv.append(title, list);
+            this.chatContainer.appendChild(sourcesDiv);
+            this.currentSources = { list, uris: new Set() };
+        }
+
+        chunks.forEach(({ web }) => {
+            if (this.currentSources.uris.has(web.uri)) return;
+            this.currentSources.uris.add(web.uri);
+
+            const link = document.createElement('a');
+            link.href = web.uri;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.textContent = web.title || web.uri;
+            const item = document.createElement('li');
+            item.appendChild(link);
+            this.currentSources.list.appendChild(item);
+        });
+        this.scrollToBottom();
+    }
+
+    /**
+     * Shows a notice from the app itself, e.g. a rejected session setup
+     * @param {string} text - Notice to show
+     * @param {boolean} [isError=false] - Styles the notice as an error
+     */
+    addSystemMessage(text, isError = false) {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = 'chat-message system-message' + (isError ? ' error' : '');
+        messageDiv.textContent = text;
+        this.chatContainer.appendChild(messageDiv);
+        this.scrollToBottom();
+    }
+
     finalizeStreamingMessage() {
+        this.currentSources = null;
         if (this.currentStreamingMessage) {
             this.currentStreamingMessage.classList.remove('streaming');
             this.currentStreamingMessage = null;
@@ -70,5 +235,8 @@ export class ChatManager {
         this.currentStreamingMessage = null;
         this.lastUserMessageType = null;
         this.currentTranscript = '';
+        this.currentSources = null;
+        this.lastCodeBlock = null;
+        this.toolCallCards.clear();
     }
 } 
\ No newline at end of file
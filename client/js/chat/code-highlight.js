@@ -0,0 +1,52 @@
+/**
+ * Lightweight syntax highlighting for code blocks generated by Gemini's code execution.
+ * Recognizes comments, strings, numbers and keywords of Python, the language the tool runs.
+ */
+
+const PYTHON_KEYWORDS = [
+    'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del',
+    'elif', 'else', 'except', 'False', 'finally', 'for', 'from', 'global', 'if', 'import',
+    'in', 'is', 'lambda', 'None', 'nonlocal', 'not', 'or', 'pass', 'print', 'raise',
+    'return', 'True', 'try', 'while', 'with', 'yield'
+];
+
+// Order matters: comments and strings must win over keywords and numbers inside them
+const TOKEN_PATTERN = new RegExp([
+    '(#[^\\n]*)',                                                  // comment
+    '("""[\\s\\S]*?"""|\'\'\'[\\s\\S]*?\'\'\'|"(?:\\\\.|[^"\\\\\\n])*"|\'(?:\\\\.|[^\'\\\\\\n])*\')', // string
+    '(\\b\\d+(?:\\.\\d+)?\\b)',                                     // number
+    `(\\b(?:${PYTHON_KEYWORDS.join('|')})\\b)`                     // keyword
+].join('|'), 'g');
+
+/**
+ * Escapes text for safe insertion as HTML
+ * @param {string} text - Raw text
+ * @returns {string} HTML-escaped text
+ */
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Converts source code into HTML with token spans for styling.
+ * @param {string} code - Source code to highlight
+ * @returns {string} Escaped HTML markup
+ */
+export function highlightCode(code) {
+    let html = '';
+    let lastIndex = 0;
+
+    for (const match of code.matchAll(TOKEN_PATTERN)) {
+        const [token, comment, string, number] = match;
+        const tokenClass = comment ? 'token-comment' : string ? 'token-string' : number ? 'token-number' : 'token-keyword';
+
+        html += escapeHtml(code.slice(lastIndex, match.index));
+        html += `<span class="${tokenClass}">${escapeHtml(token)}</span>`;
+        lastIndex = match.index + token.length;
+    }
+
+    return html + escapeHtml(code.slice(lastIndex));
+}
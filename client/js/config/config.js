@@ -7,9 +7,60 @@ export const getDeepgramApiKey = () => {
     return localStorage.getItem('deepgramApiKey') || '';
 };
 
+/**
+ * Speech-to-text backend selected for one direction of the conversation
+ * @param {'user'|'model'} direction - Whose speech is transcribed
+ * @returns {string} Id of a backend of the transcriber registry, or 'none'
+ */
+export const getTranscriberSetting = (direction) => {
+    const stored = localStorage.getItem(`${direction}Transcriber`);
+    if (stored) {
+        return stored;
+    }
+    // Without a choice, the model's speech is transcribed by Deepgram when a key is set
+    return direction === 'model' && getDeepgramApiKey() ? 'deepgram' : 'none';
+};
+
 // Audio Configurations
 export const MODEL_SAMPLE_RATE = parseInt(localStorage.getItem('sampleRate')) || 27000;
 
+/**
+ * Response modality chosen with the output toggle. Text replies are generated as text
+ * by the model, audio replies as speech with the selected voice.
+ * @returns {Object} responseModalities and, for audio, the speech config
+ */
+const getResponseModalityConfig = () => {
+    if ((localStorage.getItem('outputMode') || 'text') === 'text') {
+        return { responseModalities: ["TEXT"] };
+    }
+    return {
+        responseModalities: ["AUDIO"],
+        speechConfig: {
+            voiceConfig: { 
+                prebuiltVoiceConfig: { 
+                    voiceName: localStorage.getItem('voiceName') || 'Aoede'
+                }
+            }
+        }
+    };
+};
+
+/**
+ * Enables Gemini's built-in transcription for the directions that use the 'gemini' transcriber.
+ * The model's speech only exists with audio replies.
+ * @returns {Object} Transcription options of the setup, empty if not used
+ */
+const getTranscriptionConfig = () => {
+    const config = {};
+    if (getTranscriberSetting('user') === 'gemini') {
+        config.inputAudioTranscription = {};
+    }
+    if (getTranscriberSetting('model') === 'gemini' && (localStorage.getItem('outputMode') || 'text') === 'audio') {
+        config.outputAudioTranscription = {};
+    }
+    return config;
+};
+
 const thresholds = {
     0: "BLOCK_NONE",
     1: "BLOCK_ONLY_HIGH",
@@ -17,29 +68,28 @@ const thresholds = {
     3: "BLOCK_LOW_AND_ABOVE"
 }
 
-export const getConfig = () => ({
+/**
+ * Builds the setup configuration sent when a session starts.
+ * @param {ToolManager} [toolManager] - Provides the built-in tools and function declarations
+ * @returns {Object} Setup config for the Gemini Live API
+ */
+export const getConfig = (toolManager = null) => ({
     model: 'models/gemini-2.0-flash-exp',
     generationConfig: {
         temperature: parseFloat(localStorage.getItem('temperature')) || 1.8,
         top_p: parseFloat(localStorage.getItem('top_p')) || 0.95,
         top_k: parseInt(localStorage.getItem('top_k')) || 65,
-        responseModalities: "audio",
-        speechConfig: {
-            voiceConfig: { 
-                prebuiltVoiceConfig: { 
-                    voiceName: localStorage.getItem('voiceName') || 'Aoede'
-                }
-            }
-        }
+        ...getResponseModalityConfig()
     },
     systemInstruction: {
         parts: [{
             text: localStorage.getItem('systemInstructions') || "You are a helpful assistant"
         }]
     },
-    tools: {
-        functionDeclarations: [],
-    },
+    tools: toolManager ? toolManager.getToolsConfig() : [],
+    // Lets the client resume the session after a reconnect, see GeminiWebsocketClient.getSetupConfig
+    sessionResumption: {},
+    ...getTranscriptionConfig(),
     safetySettings: [
         {
             "category": "HARM_CATEGORY_HARASSMENT",
@@ -0,0 +1,68 @@
+import elements from './elements.js';
+import { ConnectionState } from '../main/connection-state.js';
+
+const LABELS = {
+    [ConnectionState.IDLE]: 'Not connected',
+    [ConnectionState.CONNECTING]: 'Connecting…',
+    [ConnectionState.SETTING_UP]: 'Setting up session…',
+    [ConnectionState.LIVE]: 'Live',
+    [ConnectionState.RECONNECTING]: 'Reconnecting',
+    [ConnectionState.FAILED]: 'Connection failed',
+    [ConnectionState.CLOSED]: 'Disconnected'
+};
+
+let countdownInterval = null;
+
+/**
+ * Builds the reconnecting label, counting down to the next attempt
+ * @param {Object} change - Connection state change with attempt, maxAttempts and retryAt
+ * @returns {string}
+ */
+const getReconnectingText = ({ attempt, maxAttempts, retryAt }) => {
+    const seconds = Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+    const countdown = seconds > 0 ? ` in ${seconds}s` : '…';
+    const attempts = attempt ? ` (attempt ${attempt} of ${maxAttempts})` : '';
+    return `${LABELS[ConnectionState.RECONNECTING]}${countdown}${attempts}`;
+};
+
+/**
+ * Updates the status indicator for a connection state change
+ * @param {Object} change - Event data of the agent's connection_state event
+ */
+const render = (change) => {
+    const { state, lastError } = change;
+    clearInterval(countdownInterval);
+    countdownInterval = null;
+
+    elements.connectionStatus.dataset.state = state;
+    elements.connectionStatus.title = lastError ? `Last error: ${lastError}` : '';
+    elements.retryConnectionBtn.style.display = state === ConnectionState.FAILED ? 'block' : 'none';
+
+    if (state === ConnectionState.RECONNECTING) {
+        const reconnecting = { ...change, retryAt: Date.now() + (change.delay || 0) };
+        elements.connectionStatusText.textContent = getReconnectingText(reconnecting);
+        countdownInterval = setInterval(() => {
+            elements.connectionStatusText.textContent = getReconnectingText(reconnecting);
+        }, 1000);
+    } else if (state === ConnectionState.FAILED && lastError) {
+        elements.connectionStatusText.textContent = `${LABELS[state]}: ${lastError}`;
+    } else {
+        elements.connectionStatusText.textContent = LABELS[state];
+    }
+
+    // The power button shows whether a session is active
+    const active = state === ConnectionState.LIVE || state === ConnectionState.RECONNECTING;
+    elements.powerBtn.classList.toggle('connected', active);
+    elements.powerBtn.classList.toggle('disconnected', state === ConnectionState.FAILED || state === ConnectionState.CLOSED);
+};
+
+/**
+ * Shows the agent's connection state next to the power button, including
+ * reconnect attempts with a countdown, the last error and a retry action.
+ * @param {GeminiAgent} agent - The main application agent instance
+ * @param {Function} retry - Called when the user clicks Retry after the connection failed
+ */
+export function setupConnectionStatus(agent, retry) {
+    agent.on('connection_state', render);
+    elements.retryConnectionBtn.addEventListener('click', retry);
+}
@@ -7,8 +7,14 @@ const elements = {
     cameraBtn: document.getElementById('cameraBtn'),
     screenBtn: document.getElementById('screenBtn'),
     settingsBtn: document.getElementById('settingsBtn'),
+    usageBtn: document.getElementById('usageBtn'),
     powerBtn: document.getElementById('powerBtn'),
     outputToggleBtn: document.getElementById('outputToggleBtn'),
+    retryConnectionBtn: document.getElementById('retryConnectionBtn'),
+
+    // Connection status indicator
+    connectionStatus: document.getElementById('connectionStatus'),
+    connectionStatusText: document.getElementById('connectionStatusText'),
 
     // Preview elements
     cameraPreview: document.getElementById('cameraPreview'),
@@ -1,5 +1,8 @@
 import elements from './elements.js';
 import settingsManager from '../settings/settings-manager.js';
+import { setupConnectionStatus } from './connection-status.js';
+import { UsagePanel } from '../usage/usage-panel.js';
+import { getConfig } from '../config/config.js';
 
 /**
  * Updates UI to show disconnect button and hide connect button
@@ -39,17 +42,22 @@ const ensureAgentReady = async (agent) => {
  * @param {GeminiAgent} agent - The main application agent instance
  */
 export function setupEventListeners(agent) {
+    // Connection status indicator, also updates the power button
+    setupConnectionStatus(agent, async () => {
+        try {
+            await ensureAgentReady(agent);
+        } catch (error) {
+            console.error('Error retrying connection:', error);
+        }
+    });
+
     // Power button connect/disconnect toggle
     elements.powerBtn.addEventListener('click', async () => {
         try {
             if (agent.connected) {
                 await agent.disconnect();
-                elements.powerBtn.classList.remove('connected');
-                elements.powerBtn.classList.add('disconnected');
             } else {
                 await ensureAgentReady(agent);
-                elements.powerBtn.classList.remove('disconnected');
-                elements.powerBtn.classList.add('connected');
             }
             [elements.cameraBtn, elements.screenBtn, elements.micBtn].forEach(btn => btn.classList.remove('active'));
             isCameraActive = false;
@@ -130,11 +138,17 @@ export function setupEventListeners(agent) {
     };
     updateOutputToggleIcon();
 
-    elements.outputToggleBtn.addEventListener('click', () => {
+    // The response modality is part of the session setup, switching it starts a new session
+    elements.outputToggleBtn.addEventListener('click', async () => {
         outputMode = outputMode === 'text' ? 'audio' : 'text';
         localStorage.setItem('outputMode', outputMode);
         updateOutputToggleIcon();
         console.info('Switched output mode to', outputMode);
+        try {
+            await agent.reconfigure(getConfig(agent.toolManager));
+        } catch (error) {
+            console.error('Error switching output mode:', error);
+        }
     });
 
     // Message sending handlers
@@ -159,6 +173,10 @@ export function setupEventListeners(agent) {
 
     // Settings button click
     elements.settingsBtn.addEventListener('click', () => settingsManager.show());
+
+    // Token usage panel
+    const usagePanel = new UsagePanel(agent.usageTracker);
+    elements.usageBtn.addEventListener('click', () => usagePanel.toggle());
 }
 
 // Initialize settings
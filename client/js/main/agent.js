@@ -4,12 +4,16 @@
  * and coordinates the overall application functionality.
  */
 import { GeminiWebsocketClient } from '../ws/client.js';
+import { ConversationHistory } from './conversation-history.js';
+import { ConnectionState, ConnectionStateMachine } from './connection-state.js';
+import { UsageTracker } from '../usage/usage-tracker.js';
 
 import { AudioRecorder } from '../audio/recorder.js';
 import { AudioStreamer } from '../audio/streamer.js';
 import { AudioVisualizer } from '../audio/visualizer.js';
 
-import { DeepgramTranscriber } from '../transcribe/deepgram.js';
+import { createTranscriber } from '../transcribe/registry.js';
+import { base64ToArrayBuffer } from '../utils/utils.js';
 
 import { CameraManager } from '../camera/camera.js';
 import { ScreenManager } from '../screen/screen.js';
@@ -20,8 +24,7 @@ export class GeminiAgent{
         url,
         config,
         deepgramApiKey = null,
-        transcribeModelsSpeech = true,
-        transcribeUsersSpeech = false,
+        transcribers = { user: 'none', model: 'none' },
         modelSampleRate = 24000,
         toolManager = null
     } = {}) {
@@ -29,16 +32,17 @@ export class GeminiAgent{
         if (!config) throw new Error('Config is required');
 
         this.initialized = false;
-        this.connected = false;
+        this.connectionState = new ConnectionStateMachine((change) => this.emit('connection_state', change));
 
         // For audio components
         this.audioContext = null;
         this.audioRecorder = null;
         this.audioStreamer = null;
         
-        // For transcribers
-        this.transcribeModelsSpeech = transcribeModelsSpeech;
-        this.transcribeUsersSpeech = transcribeUsersSpeech;
+        // For transcribers, backend ids of the transcriber registry per direction
+        this.transcriberIds = transcribers;
+        this.userTranscriber = null;
+        this.modelTranscriber = null;
         this.deepgramApiKey = deepgramApiKey;
         this.modelSampleRate = modelSampleRate;
 
@@ -72,32 +76,41 @@ export class GeminiAgent{
         });
         this.screenInterval = null;
         
-        // Add function declarations to config
         this.toolManager = toolManager;
-        config.tools.functionDeclarations = toolManager.getToolDeclarations() || [];
         this.config = config;
 
+        // Replayed to a new session when the previous one cannot be resumed
+        this.history = new ConversationHistory();
+
+        // Token usage with the optional per-session budget
+        this.usageTracker = new UsageTracker();
+        this.usageTracker.on('budget_exceeded', (budget) => this.handleBudgetExceeded(budget));
+
+        // Whether the model is in the middle of a turn, a reconfiguration waits for it to finish
+        this.modelResponding = false;
+        this.turnEndCallbacks = [];
+
         this.name = name;
         this.url = url;
         this.client = null;
     }
 
-    setupEventListeners() {
+    /**
+     * Handles the session events of a websocket client
+     * @param {GeminiWebsocketClient} client
+     */
+    setupEventListeners(client) {
         // Handle incoming audio data from the model
-        this.client.on('audio', async (data) => {
+        this.listenTo(client, 'audio', async (data) => {
+            this.modelResponding = true;
             try {
-                // Check the current output mode preference
-                const outputMode = localStorage.getItem('outputMode') || 'text';
-                
-                // Only process audio if in audio mode
-                if (outputMode === 'audio') {
-                    if (!this.audioStreamer.isInitialized) {
-                        this.audioStreamer.initialize();
-                    }
-                    this.audioStreamer.streamAudio(new Uint8Array(data));
+                // Audio only arrives when the session uses the AUDIO response modality
+                if (!this.audioStreamer.isInitialized) {
+                    this.audioStreamer.initialize();
                 }
+                this.audioStreamer.streamAudio(new Uint8Array(data));
 
-                // Always send to transcriber regardless of output mode
+                // Transcribe the model's speech if enabled
                 if (this.modelTranscriber && this.modelTranscriber.isConnected) {
                     this.modelTranscriber.sendAudio(data);
                 }
@@ -108,38 +121,285 @@ export class GeminiAgent{
         });
 
         // Handle model interruptions by stopping audio playback
-        this.client.on('interrupted', () => {
+        this.listenTo(client, 'interrupted', () => {
+            this.endModelTurn();
+            this.history.endTurn();
             this.audioStreamer.stop();
             this.audioStreamer.isInitialized = false;
             this.emit('interrupted');
         });
 
         // Add an event handler when the model finishes speaking if needed
-        this.client.on('turn_complete', () => {
+        this.listenTo(client, 'turn_complete', () => {
+            this.endModelTurn();
+            this.history.endTurn();
+            this.usageTracker.endTurn();
             console.info('Model finished speaking');
             this.emit('turn_complete');
         });
 
-        this.client.on('tool_call', async (toolCall) => {
-            await this.handleToolCall(toolCall);
+        this.listenTo(client, 'tool_call', async (toolCall) => {
+            try {
+                await this.handleToolCall(toolCall, client);
+            } catch (error) {
+                console.error('Failed to answer tool call:', error);
+            }
+        });
+
+        this.listenTo(client, 'tool_call_cancellation', (cancellation) => {
+            this.toolManager.cancelToolCalls(cancellation.ids);
+        });
+
+        // Handle non-audio parts of the model's turn
+        this.listenTo(client, 'content', (content) => {
+            this.modelResponding = true;
+            content.modelTurn.parts.forEach((part) => {
+                // Text of the TEXT response modality, streamed in chunks
+                if (part.text && !part.thought) {
+                    this.history.addModelText(part.text, true);
+                    this.emit('text', part.text);
+                }
+                if (part.executableCode) {
+                    this.emit('executable_code', part.executableCode);
+                }
+                if (part.codeExecutionResult) {
+                    this.emit('code_execution_result', part.codeExecutionResult);
+                }
+            });
+        });
+
+        // Gemini's built-in transcriptions, used by transcribers of the 'gemini' backend
+        this.listenTo(client, 'output_transcription', (text) => {
+            this.modelTranscriber?.receiveServerTranscription(text);
+        });
+
+        this.listenTo(client, 'input_transcription', (text) => {
+            this.userTranscriber?.receiveServerTranscription(text);
+        });
+
+        // Forward sources found by the built-in Google Search tool
+        this.listenTo(client, 'grounding', (groundingMetadata) => {
+            this.emit('grounding', groundingMetadata);
         });
     }
         
-    // TODO: Handle multiple function calls
-    async handleToolCall(toolCall) {
-        const functionCall = toolCall.functionCalls[0];
+    /**
+     * Executes every function call of a tool call concurrently and sends
+     * all results back to Gemini in a single tool response, in call order.
+     * @param {Object} toolCall - Tool call received from the websocket client
+     * @param {GeminiWebsocketClient} [client] - Client that received the call, its responses are
+     * dropped if the session was replaced while the tools ran
+     */
+    async handleToolCall(toolCall, client = this.client) {
+        const functionCalls = toolCall.functionCalls || [];
+        if (!functionCalls.length) return;
+
+        // ToolManager catches execution errors per call, so one failing tool
+        // never prevents the responses of the others from being sent
+        const responses = await Promise.all(
+            functionCalls.map((functionCall) => this.runToolCall(functionCall))
+        );
+
+        // Cancelled calls resolve to null and must not be answered
+        const activeResponses = responses.filter(Boolean);
+        if (!activeResponses.length || !client || client !== this.client) return;
+
+        // Media cannot be part of a function response, send it as inline data first
+        const inlineData = activeResponses.flatMap((response) => response.inlineData || []);
+        if (inlineData.length) {
+            await client.sendInlineData(inlineData);
+        }
+        await client.sendToolResponse(activeResponses);
+    }
+
+    /**
+     * Runs a single function call through the ToolManager and reports its progress
+     * with tool_call_started and tool_call_finished events.
+     * @param {Object} functionCall - Function call with name, args and id
+     * @returns {Promise<Object|null>} Tool response, or null if the call was cancelled
+     */
+    async runToolCall(functionCall) {
+        const { id, name, args } = functionCall;
+        const startTime = performance.now();
+        this.emit('tool_call_started', { id, name, args });
+
         const response = await this.toolManager.handleToolCall(functionCall);
-        await this.client.sendToolResponse(response);
+
+        const durationMs = Math.round(performance.now() - startTime);
+        if (!response) {
+            this.emit('tool_call_finished', { id, name, status: 'cancelled', durationMs });
+        } else if (response.error) {
+            this.emit('tool_call_finished', { id, name, status: 'failed', durationMs, error: response.error });
+        } else {
+            this.emit('tool_call_finished', { id, name, status: 'succeeded', durationMs, output: response.output });
+        }
+        return response;
+    }
+
+    /**
+     * True while a session is live or being re-established after a connection loss
+     */
+    get connected() {
+        return this.connectionState.is(ConnectionState.LIVE, ConnectionState.RECONNECTING);
     }
 
     /**
      * Connects to the Gemini API using the GeminiWebsocketClient.connect() method.
+     * Also used to retry after the connection failed, replacing the client that gave up.
+     * Resolves once the session setup was accepted, rejects with a SetupError otherwise.
      */
     async connect() {
-        this.client = new GeminiWebsocketClient(this.name, this.url, this.config);
-        await this.client.connect();
-        this.setupEventListeners();
-        this.connected = true;
+        this.usageTracker.startSession();
+        await this.openSession();
+    }
+
+    /**
+     * Applies a new configuration, e.g. another response modality, voice, system instruction
+     * or set of tools. A live session cannot change its setup, so a new session is opened
+     * and the conversation is replayed to it. Microphone, camera and screen keep streaming.
+     * Nothing happens if the setup stays the same, e.g. when only the token budget changed.
+     * @param {Object} config - Setup configuration from getConfig()
+     * @param {string} [url] - New websocket URL, e.g. after the API key changed
+     * @returns {Promise<boolean>} True if a new session was opened
+     */
+    async reconfigure(config, url = this.url) {
+        const unchanged = url === this.url && JSON.stringify(config) === JSON.stringify(this.config);
+        this.config = config;
+        this.url = url;
+        if (!this.connected || unchanged) return false;
+
+        // Let the model finish its answer before its session is replaced
+        await this.waitForModelTurn();
+        console.info('Opening a new session to apply the new configuration');
+        this.connectionState.transition(ConnectionState.RECONNECTING, { delay: 0 });
+        await this.openSession();
+        return true;
+    }
+
+    /**
+     * Waits until the model finished its current turn
+     * @param {number} [timeout=10000] - Maximum time to wait in ms
+     * @returns {Promise<void>}
+     */
+    waitForModelTurn(timeout = 10000) {
+        if (!this.modelResponding) return Promise.resolve();
+        return new Promise((resolve) => {
+            const timer = setTimeout(resolve, timeout);
+            this.turnEndCallbacks.push(() => {
+                clearTimeout(timer);
+                resolve();
+            });
+        });
+    }
+
+    endModelTurn() {
+        this.modelResponding = false;
+        this.turnEndCallbacks.forEach((callback) => callback());
+        this.turnEndCallbacks = [];
+    }
+
+    /**
+     * Replaces the websocket client with a new one for the current config and waits for its setup.
+     */
+    async openSession() {
+        if (this.client) {
+            this.client.disconnect();
+        }
+        this.endModelTurn();
+        const client = new GeminiWebsocketClient(this.name, this.url, this.config);
+        this.client = client;
+        this.bindConnectionState(client);
+        this.listenTo(client, 'setup_error', (error) => {
+            this.emit('setup_error', error);
+        });
+        this.listenTo(client, 'usage', (usageMetadata) => {
+            this.usageTracker.record(usageMetadata);
+        });
+        this.listenTo(client, 'connected', ({ resumed }) => {
+            // The history is empty unless an earlier session was lost or replaced
+            if (!resumed) {
+                this.replayHistory();
+            }
+        });
+        // Listen before connecting, the client keeps retrying on its own if the first attempt fails
+        this.setupEventListeners(client);
+
+        try {
+            await client.connect();
+        } catch (error) {
+            // Replaced before its setup completed, e.g. by a retry or a new configuration
+            if (client !== this.client) {
+                console.info('Session was replaced before its setup completed');
+                return;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Listens to an event of a websocket client. Events of a client that was already
+     * replaced are ignored, so an old session can never play audio, run tools or
+     * replay the history while a new one is active.
+     * @param {GeminiWebsocketClient} client
+     * @param {string} eventName
+     * @param {Function} handler
+     */
+    listenTo(client, eventName, handler) {
+        client.on(eventName, (data) => {
+            if (client === this.client) {
+                return handler(data);
+            }
+        });
+    }
+
+    /**
+     * Maps the events of the websocket client to connection states.
+     * Events of a client that was already replaced are ignored.
+     * @param {GeminiWebsocketClient} client
+     */
+    bindConnectionState(client) {
+        const update = (state, details) => {
+            // The client also reports its own retries, which stay in the reconnecting state
+            if (client === this.client && this.connectionState.canTransition(state)) {
+                this.connectionState.transition(state, details);
+            }
+        };
+
+        client.on('connecting', () => update(ConnectionState.CONNECTING));
+        client.on('setting_up', () => update(ConnectionState.SETTING_UP));
+        client.on('connected', () => update(ConnectionState.LIVE));
+        client.on('reconnecting', ({ attempt, maxAttempts, delay, reason }) => {
+            update(ConnectionState.RECONNECTING, { attempt, maxAttempts, delay, error: reason });
+        });
+        client.on('setup_error', (error) => update(ConnectionState.FAILED, { error: error.message }));
+        client.on('reconnect_failed', ({ code, reason }) => {
+            update(ConnectionState.FAILED, { error: reason || `Connection closed with code ${code}` });
+        });
+    }
+
+    /**
+     * Reports an exceeded session token budget and disconnects if the settings ask for it
+     * @param {Object} budget - Budget, used tokens and configured action from the UsageTracker
+     */
+    async handleBudgetExceeded(budget) {
+        this.emit('budget_exceeded', budget);
+        if (budget.action === 'disconnect' && this.client) {
+            console.warn('Disconnecting because the session token budget was exceeded');
+            await this.disconnect();
+        }
+    }
+
+    /**
+     * Restores the conversation in a new session that could not resume the previous one.
+     * The compacted history is sent without ending the turn, so the model does not respond to it.
+     */
+    replayHistory() {
+        if (this.history.isEmpty()) return;
+
+        const turns = this.history.toClientContentTurns();
+        this.client.sendContext(turns);
+        console.info(`Replayed ${turns.length} turn(s) of the conversation to the new session`);
+        this.emit('context_replayed', { turns: turns.length });
     }
 
     /**
@@ -147,6 +407,8 @@ export class GeminiAgent{
      * @param {string} text - The text message to send.
      */
     async sendText(text) {
+        this.history.addUserText(text);
+        this.history.endTurn();
         await this.client.sendText(text);
         this.emit('text_sent', text);
     }
@@ -165,7 +427,7 @@ export class GeminiAgent{
             // Set up interval to capture and send images
             this.cameraInterval = setInterval(async () => {
                 // Check if we're still connected before sending
-                if (this.connected && this.client && this.client.isConnected()) {
+                if (this.connected && this.client && this.client.isActive()) {
                     try {
                         const imageBase64 = await this.cameraManager.capture();
                         this.client.sendImage(imageBase64);
@@ -216,8 +478,7 @@ export class GeminiAgent{
             // Set up interval to capture and send screenshots
             this.screenInterval = setInterval(async () => {
                 // Check if we're still connected before sending
-                if (this.connected && this.client && this.client.ws && 
-                    this.client.ws.readyState === WebSocket.OPEN) {
+                if (this.connected && this.client && this.client.isActive()) {
                     try {
                         const imageBase64 = await this.screenManager.capture();
                         this.client.sendImage(imageBase64);
@@ -285,24 +546,14 @@ export class GeminiAgent{
                 this.audioStreamer = null;
             }
 
-            // Cleanup model's speech transcriber
+            // Cleanup speech transcribers
             if (this.modelTranscriber) {
                 this.modelTranscriber.disconnect();
                 this.modelTranscriber = null;
-                if (this.modelsKeepAliveInterval) {
-                    clearInterval(this.modelsKeepAliveInterval);
-                    this.modelsKeepAliveInterval = null;
-                }
             }
-
-            // Cleanup user's speech transcriber
             if (this.userTranscriber) {
                 this.userTranscriber.disconnect();
                 this.userTranscriber = null;
-                if (this.userKeepAliveInterval) {
-                    clearInterval(this.userKeepAliveInterval);
-                    this.userKeepAliveInterval = null;
-                }
             }
 
             // Finally close audio context
@@ -311,11 +562,15 @@ export class GeminiAgent{
                 this.audioContext = null;
             }
 
+            // Ask-once tool approvals and the replayable history only last for the session
+            this.toolManager.resetSessionPermissions();
+            this.history.clear();
+
             // Cleanup WebSocket
             this.client.disconnect();
             this.client = null;
             this.initialized = false;
-            this.connected = false;
+            this.connectionState.transition(ConnectionState.CLOSED);
             
             console.info('Disconnected and cleaned up all resources');
         } catch (error) {
@@ -324,75 +579,39 @@ export class GeminiAgent{
     }
 
     /**
-     * Initializes the model's speech transcriber with Deepgram
+     * Creates and connects the transcriber selected for one direction of the conversation.
+     * Failures only disable the transcription, the session continues without it.
+     * @param {'user'|'model'} direction - Whose speech is transcribed
+     * @param {number} sampleRate - Sample rate of the audio the transcriber receives
+     * @returns {Promise<Transcriber|null>} The connected transcriber, or null if disabled or failed
      */
-    async initializeModelSpeechTranscriber() {
-        if (!this.modelTranscriber) {
-            console.warn('Either no Deepgram API key provided or model speech transcription disabled');
-            return;
+    async initializeTranscriber(direction, sampleRate) {
+        const id = this.transcriberIds[direction];
+        if (!id || id === 'none') {
+            console.info(`Transcription of the ${direction}'s speech is disabled`);
+            return null;
         }
 
-        console.info('Initializing Deepgram model speech transcriber...');
-
-        // Promise to send keep-alive every 10 seconds once connected
-        const connectionPromise = new Promise((resolve) => {
-            this.modelTranscriber.on('connected', () => {
-                console.info('Model speech transcriber connection established, setting up keep-alive...');
-                this.modelsKeepAliveInterval = setInterval(() => {
-                    if (this.modelTranscriber.isConnected) {
-                        this.modelTranscriber.ws.send(JSON.stringify({ type: 'KeepAlive' }));
-                        console.info('Sent keep-alive message to model speech transcriber');
-                    }
-                }, 10000);
-                resolve();
+        try {
+            console.info(`Initializing ${id} transcriber for the ${direction}'s speech...`);
+            const transcriber = createTranscriber(id, { sampleRate, direction, deepgramApiKey: this.deepgramApiKey });
+            transcriber.on('transcription', (transcript) => {
+                console.debug(`${direction} speech transcription:`, transcript);
+                if (direction === 'model') {
+                    this.history.addModelText(transcript);
+                    this.emit('transcription', transcript);
+                } else {
+                    this.history.addUserText(transcript);
+                    this.emit('user_transcription', transcript);
+                }
             });
-        });
-
-        // Just log transcription to console for now
-        this.modelTranscriber.on('transcription', (transcript) => {
-            this.emit('transcription', transcript);
-            console.debug('Model speech transcription:', transcript);
-        });
-
-        // Connect to Deepgram and execute promise
-        await this.modelTranscriber.connect();
-        await connectionPromise;
-    }
-
-    /**
-     * Initializes the user's speech transcriber with Deepgram
-     */
-    async initializeUserSpeechTranscriber() {
-        if (!this.userTranscriber) {
-            console.warn('Either no Deepgram API key provided or user speech transcription disabled');
-            return;
+            transcriber.on('error', (error) => console.warn(`${id} transcriber error:`, error));
+            await transcriber.connect();
+            return transcriber;
+        } catch (error) {
+            console.warn(`Failed to start the ${id} transcriber for the ${direction}'s speech:`, error);
+            return null;
         }
-
-        console.info('Initializing Deepgram user speech transcriber...');
-
-        // Promise to send keep-alive every 10 seconds once connected
-        const connectionPromise = new Promise((resolve) => {
-            this.userTranscriber.on('connected', () => {
-                console.info('User speech transcriber connection established, setting up keep-alive...');
-                this.userKeepAliveInterval = setInterval(() => {
-                    if (this.userTranscriber.isConnected) {
-                        this.userTranscriber.ws.send(JSON.stringify({ type: 'KeepAlive' }));
-                        console.info('Sent keep-alive message to user transcriber');
-                    }
-                }, 10000);
-                resolve();
-            });
-        });
-
-        // Handle user transcription events
-        this.userTranscriber.on('transcription', (transcript) => {
-            this.emit('user_transcription', transcript);
-            console.debug('User speech transcription:', transcript);
-        });
-
-        // Connect to Deepgram and execute promise
-        await this.userTranscriber.connect();
-        await connectionPromise;
     }
 
     /**
@@ -410,19 +629,9 @@ export class GeminiAgent{
             this.visualizer.start();
             this.audioRecorder = new AudioRecorder();
             
-            // Initialize transcriber if API key is provided
-            if (this.deepgramApiKey) {
-                if (this.transcribeModelsSpeech) {
-                    this.modelTranscriber = new DeepgramTranscriber(this.deepgramApiKey, this.modelSampleRate);
-                    await this.initializeModelSpeechTranscriber();
-                }
-                if (this.transcribeUsersSpeech) {
-                    this.userTranscriber = new DeepgramTranscriber(this.deepgramApiKey, 16000);
-                    await this.initializeUserSpeechTranscriber();
-                }
-            } else {
-                console.warn('No Deepgram API key provided, transcription disabled');
-            }
+            // Initialize the transcribers selected in the settings
+            this.modelTranscriber = await this.initializeTranscriber('model', this.modelSampleRate);
+            this.userTranscriber = await this.initializeTranscriber('user', 16000);
             
             this.initialized = true;
             console.info(`${this.client.name} initialized successfully`);
@@ -438,8 +647,9 @@ export class GeminiAgent{
         await this.audioRecorder.start(async (audioData) => {
             try {
                 this.client.sendAudio(audioData);
+                // The recorder provides base64, transcribers expect the raw PCM bytes
                 if (this.userTranscriber && this.userTranscriber.isConnected) {
-                    this.userTranscriber.sendAudio(new Uint8Array(audioData));
+                    this.userTranscriber.sendAudio(base64ToArrayBuffer(audioData));
                 }
             } catch (error) {
                 console.error('Error sending audio data:', error);
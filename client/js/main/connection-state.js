@@ -0,0 +1,76 @@
+/**
+ * States of the connection to the Gemini Live API
+ */
+export const ConnectionState = {
+    IDLE: 'idle',
+    CONNECTING: 'connecting',
+    SETTING_UP: 'setting-up',
+    LIVE: 'live',
+    RECONNECTING: 'reconnecting',
+    FAILED: 'failed',
+    CLOSED: 'closed'
+};
+
+// States that can be reached from each state. Reconnecting can follow itself for the next attempt.
+const TRANSITIONS = {
+    [ConnectionState.IDLE]: [ConnectionState.CONNECTING],
+    [ConnectionState.CONNECTING]: [ConnectionState.SETTING_UP, ConnectionState.RECONNECTING, ConnectionState.FAILED, ConnectionState.CLOSED],
+    [ConnectionState.SETTING_UP]: [ConnectionState.LIVE, ConnectionState.RECONNECTING, ConnectionState.FAILED, ConnectionState.CLOSED],
+    [ConnectionState.LIVE]: [ConnectionState.RECONNECTING, ConnectionState.FAILED, ConnectionState.CLOSED],
+    [ConnectionState.RECONNECTING]: [ConnectionState.RECONNECTING, ConnectionState.LIVE, ConnectionState.FAILED, ConnectionState.CLOSED],
+    [ConnectionState.FAILED]: [ConnectionState.CONNECTING, ConnectionState.CLOSED],
+    [ConnectionState.CLOSED]: [ConnectionState.CONNECTING]
+};
+
+/**
+ * Single source of truth for the connection state. Every change is validated
+ * against the allowed transitions and reported to the onChange callback.
+ */
+export class ConnectionStateMachine {
+    /**
+     * @param {Function} onChange - Called with { state, previous, ...details } on every transition
+     */
+    constructor(onChange) {
+        this.onChange = onChange;
+        this.state = ConnectionState.IDLE;
+        this.details = {};
+        this.lastError = null;
+    }
+
+    /**
+     * @param {string} state - One of ConnectionState
+     * @returns {boolean} True if the machine can move to the state
+     */
+    canTransition(state) {
+        return TRANSITIONS[this.state].includes(state);
+    }
+
+    /**
+     * Moves to a new state
+     * @param {string} state - One of ConnectionState
+     * @param {Object} [details] - E.g. reconnect attempt, delay or error, passed to onChange
+     * @returns {boolean} False if the transition is not allowed and was ignored
+     */
+    transition(state, details = {}) {
+        if (!this.canTransition(state)) {
+            console.warn(`Ignoring connection state change from ${this.state} to ${state}`);
+            return false;
+        }
+
+        const previous = this.state;
+        this.state = state;
+        this.details = details;
+        if (details.error) {
+            this.lastError = details.error;
+        } else if (state === ConnectionState.LIVE) {
+            this.lastError = null;
+        }
+        console.info(`Connection state: ${previous} → ${state}`);
+        this.onChange({ state, previous, lastError: this.lastError, ...details });
+        return true;
+    }
+
+    is(...states) {
+        return states.includes(this.state);
+    }
+}
@@ -0,0 +1,111 @@
+/**
+ * Rolling transcript of the conversation, kept so the context can be replayed
+ * to a new session when the previous one could not be resumed.
+ * Only text is kept: typed messages, speech transcriptions and the model's text.
+ */
+export class ConversationHistory {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxTurns=50] - Number of turns kept in memory
+     * @param {number} [options.maxReplayChars=12000] - Size budget of the replayed history
+     * @param {number} [options.maxTurnChars=2000] - Longer turns are shortened when replayed
+     */
+    constructor({ maxTurns = 50, maxReplayChars = 12000, maxTurnChars = 2000 } = {}) {
+        this.maxTurns = maxTurns;
+        this.maxReplayChars = maxReplayChars;
+        this.maxTurnChars = maxTurnChars;
+        this.turns = []; // { role: 'user' | 'model', text }
+        this.turnOpen = false; // Whether new text of the same role extends the last turn
+    }
+
+    /**
+     * Adds text said or typed by the user
+     * @param {string} text
+     */
+    addUserText(text) {
+        this.append('user', text);
+    }
+
+    /**
+     * Adds text of the model, streamed fragments of one turn are joined
+     * @param {string} text
+     * @param {boolean} [isTextChunk=false] - Chunk of the TEXT response modality, which can split
+     * words and is appended as received, transcripts are joined with a space
+     */
+    addModelText(text, isTextChunk = false) {
+        this.append('model', text, isTextChunk);
+    }
+
+    append(role, text, isTextChunk = false) {
+        // Whitespace between two text chunks still separates their words
+        if (!text || (!isTextChunk && !text.trim())) return;
+
+        const lastTurn = this.turns[this.turns.length - 1];
+        if (lastTurn && lastTurn.role === role && this.turnOpen) {
+            lastTurn.text += isTextChunk ? text : ' ' + text.trim();
+        } else {
+            const turnText = isTextChunk ? text.trimStart() : text.trim();
+            if (!turnText) return;
+            this.turns.push({ role, text: turnText });
+            if (this.turns.length > this.maxTurns) {
+                this.turns.shift();
+            }
+        }
+        this.turnOpen = true;
+    }
+
+    /**
+     * Marks the end of the model's turn, e.g. on turnComplete or an interruption
+     */
+    endTurn() {
+        this.turnOpen = false;
+    }
+
+    isEmpty() {
+        return this.turns.length === 0;
+    }
+
+    clear() {
+        this.turns = [];
+        this.turnOpen = false;
+    }
+
+    /**
+     * Compacts the history into clientContent turns: the most recent turns are kept
+     * within the size budget, long turns keep only their start and end, and
+     * consecutive turns of the same role are merged.
+     * @returns {Array<Object>} Turns in the format of clientContent.turns
+     */
+    toClientContentTurns() {
+        const selected = [];
+        let size = 0;
+        for (let i = this.turns.length - 1; i >= 0; i--) {
+            const text = this.shorten(this.turns[i].text.trim());
+            if (size + text.length > this.maxReplayChars) break;
+            selected.unshift({ role: this.turns[i].role, text });
+            size += text.length;
+        }
+
+        if (selected.length < this.turns.length) {
+            selected.unshift({ role: 'user', text: '[Earlier parts of the conversation were omitted]' });
+        }
+
+        const merged = [];
+        selected.forEach((turn) => {
+            const previous = merged[merged.length - 1];
+            if (previous && previous.role === turn.role) {
+                previous.text += '\n' + turn.text;
+            } else {
+                merged.push({ ...turn });
+            }
+        });
+
+        return merged.map(({ role, text }) => ({ role, parts: [{ text }] }));
+    }
+
+    shorten(text) {
+        if (text.length <= this.maxTurnChars) return text;
+        const half = Math.floor(this.maxTurnChars / 2);
+        return `${text.slice(0, half)} […] ${text.slice(-half)}`;
+    }
+}
@@ -202,6 +202,35 @@ export class ScreenManager {
         return this.canvas.toDataURL('image/jpeg', this.config.quality).split(',')[1];
     }
 
+    /**
+     * Capture a single frame at up to the full resolution of the shared screen
+     * @param {Object} [options]
+     * @param {number} [options.maxWidth=1920] - Frames wider than this are scaled down
+     * @param {number} [options.quality=0.85] - JPEG quality (0-1)
+     * @returns {{mimeType: string, data: string, width: number, height: number}} Base64 encoded JPEG frame
+     */
+    captureHighRes({ maxWidth = 1920, quality = 0.85 } = {}) {
+        if (!this.isInitialized) {
+            throw new Error('Screen capture not initialized. Call initialize() first.');
+        }
+
+        const width = Math.min(this.videoElement.videoWidth, maxWidth);
+        const height = Math.round(width * this.aspectRatio);
+
+        // Use a separate canvas so the periodic low resolution capture is unaffected
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').drawImage(this.videoElement, 0, 0, width, height);
+
+        return {
+            mimeType: 'image/jpeg',
+            data: canvas.toDataURL('image/jpeg', quality).split(',')[1],
+            width,
+            height
+        };
+    }
+
     /**
      * Stop screen capture and cleanup resources
      */
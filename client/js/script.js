@@ -1,18 +1,55 @@
 import { GeminiAgent } from './main/agent.js';
-import { getConfig, getWebsocketUrl, getDeepgramApiKey, MODEL_SAMPLE_RATE } from './config/config.js';
+import { getConfig, getWebsocketUrl, getDeepgramApiKey, getTranscriberSetting, MODEL_SAMPLE_RATE } from './config/config.js';
 
 import { GoogleSearchTool } from './tools/google-search.js';
+import { CodeExecutionTool } from './tools/code-execution.js';
+import { ListDirectoryTool, ReadFileTool, SearchTextTool, WriteFileTool } from './tools/file-system.js';
+import { ReadClipboardTool, WriteClipboardTool } from './tools/clipboard.js';
+import { AddNoteTool, ListNotesTool, DeleteNoteTool, AddReminderTool, ListRemindersTool, DeleteReminderTool } from './tools/notes.js';
+import { RunCommandTool } from './tools/run-command.js';
+import { CaptureScreenTool } from './tools/capture-screen.js';
 import { ToolManager } from './tools/tool-manager.js';
+import { ToolPermissionDialog } from './tools/permission-dialog.js';
 import { ChatManager } from './chat/chat-manager.js';
+import settingsManager from './settings/settings-manager.js';
 
 import { setupEventListeners } from './dom/events.js';
 
 const url = getWebsocketUrl();
-const config = getConfig();
 const deepgramApiKey = getDeepgramApiKey();
 
-const toolManager = new ToolManager();
+const permissionDialog = new ToolPermissionDialog();
+const toolManager = new ToolManager({
+    confirmToolCall: (request) => permissionDialog.request(request)
+});
 toolManager.registerTool('googleSearch', new GoogleSearchTool());
+if (localStorage.getItem('codeExecution') === 'true') {
+    toolManager.registerTool('codeExecution', new CodeExecutionTool());
+}
+// Uses the agent's screen share when active, the agent is created below
+toolManager.registerTool('captureScreen', new CaptureScreenTool(() => geminiAgent.screenManager));
+
+// Tools backed by the Electron main process
+if (window.api) {
+    toolManager.registerTool('listDirectory', new ListDirectoryTool());
+    toolManager.registerTool('readFile', new ReadFileTool());
+    toolManager.registerTool('searchText', new SearchTextTool());
+    toolManager.registerTool('writeFile', new WriteFileTool());
+    toolManager.registerTool('readClipboard', new ReadClipboardTool());
+    toolManager.registerTool('writeClipboard', new WriteClipboardTool());
+    toolManager.registerTool('addNote', new AddNoteTool());
+    toolManager.registerTool('listNotes', new ListNotesTool());
+    toolManager.registerTool('deleteNote', new DeleteNoteTool());
+    toolManager.registerTool('addReminder', new AddReminderTool());
+    toolManager.registerTool('listReminders', new ListRemindersTool());
+    toolManager.registerTool('deleteReminder', new DeleteReminderTool());
+    toolManager.registerTool('runCommand', new RunCommandTool());
+}
+await toolManager.registerPluginTools();
+await toolManager.registerMcpTools();
+
+const config = getConfig(toolManager);
+settingsManager.setToolManager(toolManager);
 
 const chatManager = new ChatManager();
 
@@ -20,6 +57,7 @@ const geminiAgent = new GeminiAgent({
     url,
     config,
     deepgramApiKey,
+    transcribers: { user: getTranscriberSetting('user'), model: getTranscriberSetting('model') },
     modelSampleRate: MODEL_SAMPLE_RATE,
     toolManager
 });
@@ -29,6 +67,10 @@ geminiAgent.on('transcription', (transcript) => {
     chatManager.updateStreamingMessage(transcript);
 });
 
+geminiAgent.on('text', (text) => {
+    chatManager.updateStreamingMessage(text, true);
+});
+
 geminiAgent.on('text_sent', (text) => {
     chatManager.finalizeStreamingMessage();
     chatManager.addUserMessage(text);
@@ -41,10 +83,73 @@ geminiAgent.on('interrupted', () => {
     }
 });
 
+geminiAgent.on('executable_code', (executableCode) => {
+    chatManager.addExecutableCode(executableCode);
+});
+
+geminiAgent.on('code_execution_result', (codeExecutionResult) => {
+    chatManager.addCodeExecutionResult(codeExecutionResult);
+});
+
+geminiAgent.on('tool_call_started', (toolCall) => {
+    chatManager.addToolCall(toolCall);
+});
+
+geminiAgent.on('tool_call_finished', (result) => {
+    chatManager.updateToolCall(result);
+});
+
+geminiAgent.on('grounding', (groundingMetadata) => {
+    chatManager.addGroundingSources(groundingMetadata);
+});
+
 geminiAgent.on('turn_complete', () => {
     chatManager.finalizeStreamingMessage();
 });
 
-geminiAgent.connect();
+geminiAgent.on('context_replayed', () => {
+    chatManager.addSystemMessage('Reconnected in a new session, the conversation so far was restored');
+});
+
+geminiAgent.on('budget_exceeded', ({ budget, used, action }) => {
+    const consequence = action === 'disconnect' ? 'the session was disconnected' : 'the session continues';
+    chatManager.addSystemMessage(`Session token budget of ${budget.toLocaleString()} exceeded (${used.toLocaleString()} tokens used), ${consequence}`, true);
+});
+
+// Apply saved settings to the running session instead of reloading the page
+settingsManager.on('saved', async ({ changedKeys }) => {
+    if (localStorage.getItem('codeExecution') === 'true') {
+        if (!toolManager.tools.has('codeExecution')) {
+            toolManager.registerTool('codeExecution', new CodeExecutionTool());
+        }
+    } else {
+        toolManager.unregisterTool('codeExecution');
+    }
+    if (changedKeys.includes('disabledPluginTools')) {
+        await toolManager.registerPluginTools();
+    }
+
+    // The budget is read on every check, re-check it so a lowered budget applies right away
+    if (changedKeys.includes('sessionTokenBudget') || changedKeys.includes('budgetAction')) {
+        geminiAgent.usageTracker.checkBudget();
+    }
+
+    // Only settings that are part of the setup need a new session
+    try {
+        if (await geminiAgent.reconfigure(getConfig(toolManager), getWebsocketUrl())) {
+            chatManager.addSystemMessage('Settings applied to the session');
+        }
+    } catch (error) {
+        console.error('Failed to apply settings:', error);
+    }
+});
+
+geminiAgent.on('setup_error', (error) => {
+    chatManager.addSystemMessage(`${error.message}. Check the model and settings, then reconnect.`, true);
+});
+
+setupEventListeners(geminiAgent);
 
-setupEventListeners(geminiAgent);
\ No newline at end of file
+geminiAgent.connect().catch((error) => {
+    console.error('Failed to connect:', error);
+});
\ No newline at end of file
@@ -1,7 +1,24 @@
 import { settingsTemplate } from './settings-template.js';
+import { getTranscriberOptions } from '../transcribe/registry.js';
+import { getTranscriberSetting } from '../config/config.js';
+import { ToolPermission } from '../tools/tool-permission.js';
+
+// Choices of the tool permission selects
+const PERMISSION_LABELS = {
+    [ToolPermission.ALLOW]: 'Always allow',
+    [ToolPermission.ASK]: 'Ask every time',
+    [ToolPermission.ASK_ONCE]: 'Ask once per session',
+    [ToolPermission.DENY]: 'Never allow'
+};
+
+// Settings read once at startup by the audio, camera and screen components, changing them needs a reload
+const RELOAD_REQUIRED_SETTINGS = ['deepgramApiKey', 'userTranscriber', 'modelTranscriber', 'sampleRate', 'fps', 'resizeWidth', 'quality'];
 
 class SettingsManager {
     constructor() {
+        this._eventListeners = new Map();
+        this.toolManager = null;
+        this.pluginToolsLoaded = false; // Whether the plugin checkboxes reflect the plugins folder
         this.initializeElements();
         this.setupEventListeners();
         this.loadSettings();
@@ -26,6 +43,8 @@ class SettingsManager {
             overlay: this.overlay,
             apiKeyInput: this.dialog.querySelector('#apiKey'),
             deepgramApiKeyInput: this.dialog.querySelector('#deepgramApiKey'),
+            userTranscriberSelect: this.dialog.querySelector('#userTranscriber'),
+            modelTranscriberSelect: this.dialog.querySelector('#modelTranscriber'),
             voiceSelect: this.dialog.querySelector('#voice'),
             sampleRateInput: this.dialog.querySelector('#sampleRate'),
             sampleRateValue: this.dialog.querySelector('#sampleRateValue'),
@@ -40,6 +59,32 @@ class SettingsManager {
             resizeWidthValue: this.dialog.querySelector('#resizeWidthValue'),
             qualityInput: this.dialog.querySelector('#quality'),
             qualityValue: this.dialog.querySelector('#qualityValue'),
+            toolsToggle: this.dialog.querySelector('#toolsToggle'),
+            toolsContent: this.dialog.querySelector('#toolsToggle + .collapsible-content'),
+            codeExecutionInput: this.dialog.querySelector('#codeExecution'),
+            toolPermissionsGroup: this.dialog.querySelector('#toolPermissionsGroup'),
+            toolPermissionsList: this.dialog.querySelector('#toolPermissions'),
+            allowedFoldersGroup: this.dialog.querySelector('#allowedFoldersGroup'),
+            allowedFoldersList: this.dialog.querySelector('#allowedFolders'),
+            addAllowedFolderBtn: this.dialog.querySelector('#addAllowedFolderBtn'),
+            whisperSettingsGroup: this.dialog.querySelector('#whisperSettingsGroup'),
+            whisperToggle: this.dialog.querySelector('#whisperToggle'),
+            whisperContent: this.dialog.querySelector('#whisperToggle + .collapsible-content'),
+            whisperBinaryPathInput: this.dialog.querySelector('#whisperBinaryPath'),
+            whisperModelPathInput: this.dialog.querySelector('#whisperModelPath'),
+            whisperLanguageInput: this.dialog.querySelector('#whisperLanguage'),
+            commandSettingsGroup: this.dialog.querySelector('#commandSettingsGroup'),
+            allowedCommandsInput: this.dialog.querySelector('#allowedCommands'),
+            commandTimeoutInput: this.dialog.querySelector('#commandTimeout'),
+            commandTimeoutValue: this.dialog.querySelector('#commandTimeoutValue'),
+            pluginToolsGroup: this.dialog.querySelector('#pluginToolsGroup'),
+            pluginToolsList: this.dialog.querySelector('#pluginTools'),
+            openPluginsFolderBtn: this.dialog.querySelector('#openPluginsFolderBtn'),
+            openMcpConfigBtn: this.dialog.querySelector('#openMcpConfigBtn'),
+            usageToggle: this.dialog.querySelector('#usageToggle'),
+            usageContent: this.dialog.querySelector('#usageToggle + .collapsible-content'),
+            sessionTokenBudgetInput: this.dialog.querySelector('#sessionTokenBudget'),
+            budgetActionSelect: this.dialog.querySelector('#budgetAction'),
             advancedToggle: this.dialog.querySelector('#advancedToggle'),
             advancedContent: this.dialog.querySelector('#advancedToggle + .collapsible-content'),
             temperatureInput: this.dialog.querySelector('#temperature'),
@@ -69,11 +114,18 @@ class SettingsManager {
         // Prevent dialog close when clicking inside dialog
         this.dialog.addEventListener('click', (e) => e.stopPropagation());
 
-        // Save settings
+        // Save settings, the session is reconfigured live unless a setting needs a reload
         this.elements.saveBtn.addEventListener('click', () => {
-            this.saveSettings();
+            const changedKeys = this.saveSettings();
             this.hide();
-            window.location.reload();
+            const needsReload = changedKeys.some((key) => RELOAD_REQUIRED_SETTINGS.includes(key));
+            if (needsReload || !this._eventListeners.has('saved')) {
+                window.location.reload();
+                return;
+            }
+            if (changedKeys.length) {
+                this.emit('saved', { changedKeys });
+            }
         });
 
         // Toggle collapsible sections
@@ -81,6 +133,34 @@ class SettingsManager {
             this.toggleCollapsible(this.elements.systemInstructionsToggle, this.elements.systemInstructionsContent);
         });
 
+        this.elements.toolsToggle.addEventListener('click', () => {
+            this.toggleCollapsible(this.elements.toolsToggle, this.elements.toolsContent);
+        });
+
+        this.elements.addAllowedFolderBtn.addEventListener('click', async () => {
+            try {
+                this.renderAllowedFolders(await window.api.addAllowedFolder());
+            } catch (error) {
+                console.error('Failed to add folder:', error);
+            }
+        });
+
+        this.elements.openPluginsFolderBtn.addEventListener('click', () => {
+            window.api.openPluginsFolder().catch((error) => console.error('Failed to open plugins folder:', error));
+        });
+
+        this.elements.openMcpConfigBtn.addEventListener('click', () => {
+            window.api.openMcpConfig().catch((error) => console.error('Failed to open MCP config:', error));
+        });
+
+        this.elements.whisperToggle.addEventListener('click', () => {
+            this.toggleCollapsible(this.elements.whisperToggle, this.elements.whisperContent);
+        });
+
+        this.elements.usageToggle.addEventListener('click', () => {
+            this.toggleCollapsible(this.elements.usageToggle, this.elements.usageContent);
+        });
+
         this.elements.advancedToggle.addEventListener('click', () => {
             this.toggleCollapsible(this.elements.advancedToggle, this.elements.advancedContent);
         });
@@ -97,7 +177,7 @@ class SettingsManager {
         const inputElements = [
             'sampleRateInput', 'temperatureInput', 'topPInput', 'topKInput',
             'fpsInput', 'resizeWidthInput', 'qualityInput', 'harassmentInput',
-            'dangerousInput', 'sexualInput', 'civicInput'
+            'dangerousInput', 'sexualInput', 'civicInput', 'commandTimeoutInput'
         ];
 
         inputElements.forEach(elementName => {
@@ -109,6 +189,8 @@ class SettingsManager {
         // Load values from localStorage
         this.elements.apiKeyInput.value = localStorage.getItem('apiKey') || '';
         this.elements.deepgramApiKeyInput.value = localStorage.getItem('deepgramApiKey') || '';
+        this.loadTranscriberSettings();
+        this.loadWhisperSettings();
         this.elements.voiceSelect.value = localStorage.getItem('voiceName') || 'Aoede';
         this.elements.sampleRateInput.value = localStorage.getItem('sampleRate') || '27000';
         this.elements.systemInstructionsInput.value = localStorage.getItem('systemInstructions') || 'You are a helpful assistant';
@@ -121,6 +203,16 @@ class SettingsManager {
         this.elements.resizeWidthInput.value = localStorage.getItem('resizeWidth') || '640';
         this.elements.qualityInput.value = localStorage.getItem('quality') || '0.3';
 
+        // Initialize tool settings
+        this.elements.codeExecutionInput.checked = localStorage.getItem('codeExecution') === 'true';
+        this.loadPluginToolSettings();
+        this.loadAllowedFolders();
+        this.loadCommandSettings();
+
+        // Initialize usage settings
+        this.elements.sessionTokenBudgetInput.value = localStorage.getItem('sessionTokenBudget') || '0';
+        this.elements.budgetActionSelect.value = localStorage.getItem('budgetAction') || 'warn';
+
         // Initialize safety settings
         this.elements.harassmentInput.value = localStorage.getItem('harassmentThreshold') || '3';
         this.elements.dangerousInput.value = localStorage.getItem('dangerousContentThreshold') || '3';
@@ -130,9 +222,18 @@ class SettingsManager {
         this.updateDisplayValues();
     }
 
+    /**
+     * Stores the values of the dialog in localStorage
+     * @returns {Array<string>} Keys of the settings whose value changed
+     */
     saveSettings() {
+        const previousValues = { ...localStorage };
+
         localStorage.setItem('apiKey', this.elements.apiKeyInput.value);
         localStorage.setItem('deepgramApiKey', this.elements.deepgramApiKeyInput.value);
+        localStorage.setItem('userTranscriber', this.elements.userTranscriberSelect.value);
+        localStorage.setItem('modelTranscriber', this.elements.modelTranscriberSelect.value);
+        this.saveWhisperSettings();
         localStorage.setItem('voiceName', this.elements.voiceSelect.value);
         localStorage.setItem('sampleRate', this.elements.sampleRateInput.value);
         localStorage.setItem('systemInstructions', this.elements.systemInstructionsInput.value);
@@ -145,11 +246,245 @@ class SettingsManager {
         localStorage.setItem('resizeWidth', this.elements.resizeWidthInput.value);
         localStorage.setItem('quality', this.elements.qualityInput.value);
 
+        // Save tool settings
+        localStorage.setItem('codeExecution', this.elements.codeExecutionInput.checked);
+        // Without the plugin list the checkboxes are missing, saving them would enable every plugin
+        if (this.pluginToolsLoaded) {
+            const disabledPluginTools = [...this.elements.pluginToolsList.querySelectorAll('input[type="checkbox"]')]
+                .filter((checkbox) => !checkbox.checked)
+                .map((checkbox) => checkbox.dataset.tool);
+            localStorage.setItem('disabledPluginTools', JSON.stringify(disabledPluginTools));
+        }
+        this.saveToolPermissions();
+        this.saveCommandSettings();
+
+        // Save usage settings
+        localStorage.setItem('sessionTokenBudget', Math.max(0, parseInt(this.elements.sessionTokenBudgetInput.value) || 0));
+        localStorage.setItem('budgetAction', this.elements.budgetActionSelect.value);
+
         // Save safety settings
         localStorage.setItem('harassmentThreshold', this.elements.harassmentInput.value);
         localStorage.setItem('dangerousContentThreshold', this.elements.dangerousInput.value);
         localStorage.setItem('sexuallyExplicitThreshold', this.elements.sexualInput.value);
         localStorage.setItem('civicIntegrityThreshold', this.elements.civicInput.value);
+
+        return Object.keys(localStorage).filter((key) => localStorage.getItem(key) !== previousValues[key]);
+    }
+
+    /**
+     * Connects the tool manager whose tools are listed in the permission settings
+     * @param {ToolManager} toolManager
+     */
+    setToolManager(toolManager) {
+        this.toolManager = toolManager;
+        this.loadToolPermissions();
+    }
+
+    /**
+     * Lists the client tools with a select for their permission policy.
+     * Tools that always need confirmation can only be disabled.
+     */
+    loadToolPermissions() {
+        const list = this.elements.toolPermissionsList;
+        list.innerHTML = '';
+        if (!this.toolManager) {
+            this.elements.toolPermissionsGroup.style.display = 'none';
+            return;
+        }
+        this.elements.toolPermissionsGroup.style.display = '';
+
+        this.toolManager.getPermissionPolicies().forEach(({ name, policy, defaultPolicy, confirmationRequired }) => {
+            const row = document.createElement('div');
+            row.className = 'tool-permission-row';
+            const label = document.createElement('span');
+            label.textContent = name;
+            const select = document.createElement('select');
+            select.dataset.tool = name;
+
+            const choices = confirmationRequired ? [ToolPermission.DENY] : Object.keys(PERMISSION_LABELS);
+            [['', `Default (${PERMISSION_LABELS[defaultPolicy]})`], ...choices.map((choice) => [choice, PERMISSION_LABELS[choice]])]
+                .forEach(([value, text]) => {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = text;
+                    select.appendChild(option);
+                });
+            select.value = policy && (!confirmationRequired || policy === ToolPermission.DENY) ? policy : '';
+            select.dataset.saved = select.value;
+
+            row.append(label, select);
+            list.appendChild(row);
+        });
+    }
+
+    saveToolPermissions() {
+        if (!this.toolManager) return;
+
+        // Only store changed policies, storing one forgets the tool's ask-once approval
+        this.elements.toolPermissionsList.querySelectorAll('select').forEach((select) => {
+            if (select.value === select.dataset.saved) return;
+            this.toolManager.setPermissionPolicy(select.dataset.tool, select.value || null);
+            select.dataset.saved = select.value;
+        });
+    }
+
+    /**
+     * Shows the folders the file tools may access. Folders are granted and
+     * stored by the main process, the section is hidden outside Electron.
+     */
+    async loadAllowedFolders() {
+        if (!window.api || typeof window.api.getAllowedFolders !== 'function') {
+            this.elements.allowedFoldersGroup.style.display = 'none';
+            return;
+        }
+
+        try {
+            this.renderAllowedFolders(await window.api.getAllowedFolders());
+        } catch (error) {
+            console.error('Failed to load allowed folders:', error);
+        }
+    }
+
+    renderAllowedFolders(folders) {
+        const list = this.elements.allowedFoldersList;
+        list.innerHTML = '';
+        if (!folders.length) {
+            list.textContent = 'No folders granted';
+            return;
+        }
+        folders.forEach((folder) => {
+            const row = document.createElement('div');
+            row.className = 'allowed-folder';
+            const name = document.createElement('span');
+            name.textContent = folder;
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'settings-secondary-btn';
+            removeBtn.textContent = 'Remove';
+            removeBtn.addEventListener('click', async () => {
+                try {
+                    this.renderAllowedFolders(await window.api.removeAllowedFolder(folder));
+                } catch (error) {
+                    console.error('Failed to remove folder:', error);
+                }
+            });
+            row.append(name, removeBtn);
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Loads the command allow-list and timeout, which the main process stores and enforces.
+     */
+    async loadCommandSettings() {
+        if (!window.api || typeof window.api.getCommandSettings !== 'function') {
+            this.elements.commandSettingsGroup.style.display = 'none';
+            return;
+        }
+
+        try {
+            const settings = await window.api.getCommandSettings();
+            this.elements.allowedCommandsInput.value = settings.allowedCommands.join('\n');
+            this.elements.commandTimeoutInput.value = Math.round(settings.timeout / 1000);
+            this.updateDisplayValues();
+        } catch (error) {
+            console.error('Failed to load command settings:', error);
+        }
+    }
+
+    saveCommandSettings() {
+        if (!window.api || typeof window.api.setCommandSettings !== 'function') return;
+
+        window.api.setCommandSettings({
+            allowedCommands: this.elements.allowedCommandsInput.value.split('\n').map((line) => line.trim()).filter(Boolean),
+            timeout: parseInt(this.elements.commandTimeoutInput.value) * 1000
+        }).catch((error) => console.error('Failed to save command settings:', error));
+    }
+
+    /**
+     * Lists the tools found in the plugins folder with a switch to enable each of them.
+     * The section is hidden outside Electron, where plugins cannot be loaded.
+     */
+    async loadPluginToolSettings() {
+        if (!window.api || typeof window.api.listPluginTools !== 'function') {
+            this.elements.pluginToolsGroup.style.display = 'none';
+            return;
+        }
+
+        const list = this.elements.pluginToolsList;
+        this.pluginToolsLoaded = false;
+        try {
+            const plugins = await window.api.listPluginTools();
+            const disabledTools = JSON.parse(localStorage.getItem('disabledPluginTools') || '[]');
+
+            list.innerHTML = '';
+            this.pluginToolsLoaded = true;
+            if (!plugins.length) {
+                list.textContent = 'No plugins found';
+                return;
+            }
+            plugins.forEach((plugin) => {
+                const label = document.createElement('label');
+                label.className = 'checkbox-label';
+                label.title = plugin.file;
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.dataset.tool = plugin.name;
+                checkbox.checked = !disabledTools.includes(plugin.name);
+                label.append(checkbox, plugin.name);
+                list.appendChild(label);
+            });
+        } catch (error) {
+            console.error('Failed to list plugin tools:', error);
+            list.textContent = 'Failed to load plugins';
+        }
+    }
+
+    /**
+     * Fills the transcriber selects with the backends of the transcriber registry
+     */
+    loadTranscriberSettings() {
+        const options = [{ id: 'none', label: 'Off' }, ...getTranscriberOptions()];
+        [['user', this.elements.userTranscriberSelect], ['model', this.elements.modelTranscriberSelect]].forEach(([direction, select]) => {
+            select.innerHTML = '';
+            options.forEach(({ id, label }) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+            select.value = getTranscriberSetting(direction);
+        });
+    }
+
+    /**
+     * Loads the whisper.cpp binary and model, which the main process stores and runs.
+     * The section is hidden outside Electron, where local transcription is not available.
+     */
+    async loadWhisperSettings() {
+        if (!window.api || typeof window.api.getWhisperSettings !== 'function') {
+            this.elements.whisperSettingsGroup.style.display = 'none';
+            return;
+        }
+
+        try {
+            const settings = await window.api.getWhisperSettings();
+            this.elements.whisperBinaryPathInput.value = settings.binaryPath;
+            this.elements.whisperModelPathInput.value = settings.modelPath;
+            this.elements.whisperLanguageInput.value = settings.language;
+        } catch (error) {
+            console.error('Failed to load whisper.cpp settings:', error);
+        }
+    }
+
+    saveWhisperSettings() {
+        if (!window.api || typeof window.api.setWhisperSettings !== 'function') return;
+
+        window.api.setWhisperSettings({
+            binaryPath: this.elements.whisperBinaryPathInput.value,
+            modelPath: this.elements.whisperModelPathInput.value,
+            language: this.elements.whisperLanguageInput.value
+        }).catch((error) => console.error('Failed to save whisper.cpp settings:', error));
     }
 
     updateDisplayValues() {
@@ -160,6 +495,7 @@ class SettingsManager {
         this.elements.fpsValue.textContent = this.elements.fpsInput.value + ' FPS';
         this.elements.resizeWidthValue.textContent = this.elements.resizeWidthInput.value + 'px';
         this.elements.qualityValue.textContent = this.elements.qualityInput.value;
+        this.elements.commandTimeoutValue.textContent = this.elements.commandTimeoutInput.value + ' s';
         this.elements.harassmentValue.textContent = this.getThresholdLabel(this.elements.harassmentInput.value);
         this.elements.dangerousValue.textContent = this.getThresholdLabel(this.elements.dangerousInput.value);
         this.elements.sexualValue.textContent = this.getThresholdLabel(this.elements.sexualInput.value);
@@ -182,7 +518,25 @@ class SettingsManager {
         toggle.textContent = toggle.textContent.replace(isActive ? '▼' : '▲', isActive ? '▲' : '▼');
     }
 
+    on(eventName, callback) {
+        if (!this._eventListeners.has(eventName)) {
+            this._eventListeners.set(eventName, []);
+        }
+        this._eventListeners.get(eventName).push(callback);
+    }
+
+    emit(eventName, data) {
+        if (!this._eventListeners.has(eventName)) {
+            return;
+        }
+        for (const callback of this._eventListeners.get(eventName)) {
+            callback(data);
+        }
+    }
+
     show() {
+        // Plugin and MCP tools can change while the app runs
+        this.loadToolPermissions();
         this.dialog.classList.add('active');
         this.overlay.classList.add('active');
     }
@@ -9,6 +9,31 @@ export const settingsTemplate = `
     <input type="password" id="deepgramApiKey" placeholder="Enter your Deepgram API key">
 </div>
 
+<div class="settings-group">
+    <label for="userTranscriber">Transcribe My Speech With</label>
+    <select id="userTranscriber"></select>
+    <label for="modelTranscriber">Transcribe Gemini's Speech With</label>
+    <select id="modelTranscriber"></select>
+</div>
+
+<div class="settings-group" id="whisperSettingsGroup">
+    <div class="collapsible" id="whisperToggle">Local Transcription ▼</div>
+    <div class="collapsible-content">
+        <div class="settings-group">
+            <label for="whisperBinaryPath">whisper.cpp Binary</label>
+            <input type="text" id="whisperBinaryPath" placeholder="/path/to/whisper-cli">
+        </div>
+        <div class="settings-group">
+            <label for="whisperModelPath">whisper.cpp Model</label>
+            <input type="text" id="whisperModelPath" placeholder="/path/to/ggml-base.en.bin">
+        </div>
+        <div class="settings-group">
+            <label for="whisperLanguage">Language (e.g. en, de, auto)</label>
+            <input type="text" id="whisperLanguage" placeholder="en">
+        </div>
+    </div>
+</div>
+
 <div class="settings-group">
     <label for="voice">Voice</label>
     <select id="voice">
@@ -54,6 +79,57 @@ export const settingsTemplate = `
     </div>
 </div>
 
+<div class="settings-group">
+    <div class="collapsible" id="toolsToggle">Tools ▼</div>
+    <div class="collapsible-content">
+        <div class="settings-group">
+            <label class="checkbox-label" for="codeExecution">
+                <input type="checkbox" id="codeExecution">
+                Code Execution (Gemini runs Python to answer)
+            </label>
+        </div>
+        <div class="settings-group" id="toolPermissionsGroup">
+            <label>Tool Permissions</label>
+            <div id="toolPermissions"></div>
+        </div>
+        <div class="settings-group" id="allowedFoldersGroup">
+            <label>Folders Gemini May Access</label>
+            <div id="allowedFolders"></div>
+            <button type="button" id="addAllowedFolderBtn" class="settings-secondary-btn">Add Folder</button>
+        </div>
+        <div class="settings-group" id="commandSettingsGroup">
+            <label for="allowedCommands">Allowed Commands (one per line, e.g. "git status", end with " *" to allow arguments)</label>
+            <textarea id="allowedCommands" rows="4" placeholder="git status"></textarea>
+            <label for="commandTimeout">Command Timeout (5-240 seconds)</label>
+            <input type="range" id="commandTimeout" min="5" max="240" step="5">
+            <span id="commandTimeoutValue"></span>
+        </div>
+        <div class="settings-group" id="pluginToolsGroup">
+            <label>Plugin Tools</label>
+            <div id="pluginTools"></div>
+            <button type="button" id="openPluginsFolderBtn" class="settings-secondary-btn">Open Plugins Folder</button>
+            <button type="button" id="openMcpConfigBtn" class="settings-secondary-btn">Edit MCP Servers</button>
+        </div>
+    </div>
+</div>
+
+<div class="settings-group">
+    <div class="collapsible" id="usageToggle">Usage ▼</div>
+    <div class="collapsible-content">
+        <div class="settings-group">
+            <label for="sessionTokenBudget">Session Token Budget (0 = unlimited)</label>
+            <input type="number" id="sessionTokenBudget" min="0" step="1000">
+        </div>
+        <div class="settings-group">
+            <label for="budgetAction">When the Budget Is Exceeded</label>
+            <select id="budgetAction">
+                <option value="warn">Warn</option>
+                <option value="disconnect">Disconnect</option>
+            </select>
+        </div>
+    </div>
+</div>
+
 <div class="settings-group">
     <div class="collapsible" id="advancedToggle">Advanced Settings ▼</div>
     <div class="collapsible-content">
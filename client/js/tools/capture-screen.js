@@ -0,0 +1,58 @@
+/**
+ * Takes a single high resolution screenshot when the model asks for it,
+ * so continuous screen sharing can stay off. Uses the running screen share if
+ * there is one, otherwise Electron's desktopCapturer in the main process.
+ */
+import { MediaResult } from './media-result.js';
+import { ToolPermission } from './tool-permission.js';
+
+export class CaptureScreenTool {
+    /**
+     * @param {Function} getScreenManager - Returns the agent's ScreenManager
+     */
+    constructor(getScreenManager) {
+        this.getScreenManager = getScreenManager;
+    }
+
+    getDeclaration() {
+        return {
+            name: 'captureScreen',
+            description: 'Takes a screenshot of the user\'s screen and attaches it to the conversation as an image. Use it when you need to see what the user is looking at.',
+            parameters: {
+                type: 'OBJECT',
+                properties: {
+                    maxWidth: {
+                        type: 'INTEGER',
+                        description: 'Maximum width of the screenshot in pixels',
+                        minimum: 320,
+                        maximum: 3840,
+                        default: 1920
+                    }
+                }
+            }
+        };
+    }
+
+    // Without a running screen share the whole desktop is captured, which the user should approve
+    getPermissionPolicy() {
+        return ToolPermission.ASK_ONCE;
+    }
+
+    async execute(args) {
+        const screenManager = this.getScreenManager();
+        let screenshot;
+
+        if (screenManager && screenManager.isInitialized) {
+            screenshot = screenManager.captureHighRes({ maxWidth: args.maxWidth });
+        } else if (window.api && typeof window.api.captureScreen === 'function') {
+            screenshot = await window.api.captureScreen({ maxWidth: args.maxWidth });
+        } else {
+            throw new Error('Screen capture is unavailable. Ask the user to start screen sharing first.');
+        }
+
+        return new MediaResult(
+            { width: screenshot.width, height: screenshot.height, attached: 'Screenshot attached as an image' },
+            [{ mimeType: screenshot.mimeType, data: screenshot.data }]
+        );
+    }
+}
@@ -0,0 +1,74 @@
+/**
+ * Clipboard tools backed by Electron's clipboard module in the main process.
+ */
+import { ToolPermission } from './tool-permission.js';
+import { MediaResult } from './media-result.js';
+
+export class ReadClipboardTool {
+
+    getDeclaration() {
+        return {
+            name: 'readClipboard',
+            description: 'Reads the user\'s clipboard. Copied images are attached to the conversation as an image.',
+            parameters: {
+                type: 'OBJECT',
+                properties: {
+                    format: {
+                        type: 'STRING',
+                        description: 'Which content to read, auto returns everything that is available',
+                        enum: ['auto', 'text', 'html', 'image'],
+                        default: 'auto'
+                    }
+                }
+            }
+        };
+    }
+
+    getPermissionPolicy() {
+        return ToolPermission.ASK_ONCE;
+    }
+
+    async execute(args) {
+        const { formats, text, html, image } = await window.api.readClipboard(args.format);
+        const output = { formats };
+        if (text !== undefined) output.text = text;
+        if (html !== undefined) output.html = html;
+
+        if (!image) {
+            return output;
+        }
+        output.image = `Attached as an image (${image.width}x${image.height})`;
+        return new MediaResult(output, [{ mimeType: image.mimeType, data: image.data }]);
+    }
+}
+
+export class WriteClipboardTool {
+
+    getDeclaration() {
+        return {
+            name: 'writeClipboard',
+            description: 'Copies text or HTML to the user\'s clipboard so they can paste it elsewhere.',
+            parameters: {
+                type: 'OBJECT',
+                properties: {
+                    text: {
+                        type: 'STRING',
+                        description: 'Plain text to copy, also used as fallback when html is given'
+                    },
+                    html: {
+                        type: 'STRING',
+                        description: 'Optional HTML markup to copy as rich text'
+                    }
+                }
+            }
+        };
+    }
+
+    getPermissionPolicy() {
+        return ToolPermission.ASK_ONCE;
+    }
+
+    async execute(args) {
+        return await window.api.writeClipboard({ text: args.text, html: args.html });
+    }
+}
@@ -0,0 +1,12 @@
+/**
+ * Gemini's built-in code execution. The model writes and runs Python on the server;
+ * the generated code and its output arrive as executableCode and codeExecutionResult parts.
+ */
+export class CodeExecutionTool {
+
+    getBuiltInConfig() {
+        return {
+            codeExecution: {}
+        };
+    }
+}
@@ -0,0 +1,117 @@
+/**
+ * File tools working inside the folders the user granted in the settings.
+ * The I/O happens in the Electron main process, which enforces the allow-list and size limits.
+ */
+import { ToolPermission } from './tool-permission.js';
+
+export class ListDirectoryTool {
+
+    getDeclaration() {
+        return {
+            name: 'listDirectory',
+            description: 'Lists the files and folders of a directory the user granted access to. Call without a path to get the granted folders.',
+            parameters: {
+                type: 'OBJECT',
+                properties: {
+                    path: {
+                        type: 'STRING',
+                        description: 'Absolute path, or a path relative to the first granted folder'
+                    }
+                }
+            }
+        };
+    }
+
+    async execute(args) {
+        return await window.api.listDirectory(args.path);
+    }
+}
+
+export class ReadFileTool {
+
+    getDeclaration() {
+        return {
+            name: 'readFile',
+            description: 'Reads a text file inside the granted folders. Large files are truncated and binary files are refused.',
+            parameters: {
+                type: 'OBJECT',
+                properties: {
+                    path: {
+                        type: 'STRING',
+                        description: 'Absolute path, or a path relative to the first granted folder'
+                    }
+                },
+                required: ['path']
+            }
+        };
+    }
+
+    async execute(args) {
+        return await window.api.readFile(args.path);
+    }
+}
+
+export class SearchTextTool {
+
+    getDeclaration() {
+        return {
+            name: 'searchText',
+            description: 'Searches text files in a granted folder and its subfolders for a case-insensitive text and returns the matching lines.',
+            parameters: {
+                type: 'OBJECT',
+                properties: {
+                    query: {
+                        type: 'STRING',
+                        description: 'Text to search for',
+                        minLength: 1
+                    },
+                    path: {
+                        type: 'STRING',
+                        description: 'Folder to search in, defaults to the first granted folder'
+                    }
+                },
+                required: ['query']
+            }
+        };
+    }
+
+    getTimeout() {
+        return 60000;
+    }
+
+    async execute(args) {
+        return await window.api.searchText(args.path, args.query);
+    }
+}
+
+export class WriteFileTool {
+
+    getDeclaration() {
+        return {
+            name: 'writeFile',
+            description: 'Creates or overwrites a text file inside the granted folders. The user has to confirm every write.',
+            parameters: {
+                type: 'OBJECT',
+                properties: {
+                    path: {
+                        type: 'STRING',
+                        description: 'Absolute path, or a path relative to the first granted folder'
+                    },
+                    content: {
+                        type: 'STRING',
+                        description: 'Full content of the file'
+                    }
+                },
+                required: ['path', 'content']
+            }
+        };
+    }
+
+    getPermissionPolicy() {
+        return ToolPermission.ASK;
+    }
+
+    async execute(args) {
+        return await window.api.writeFile(args.path, args.content);
+    }
+}
@@ -1,12 +1,12 @@
+/**
+ * Gemini's built-in Google Search grounding. The search runs on the server,
+ * so this tool only contributes its entry to the setup's tools array and is never executed locally.
+ */
 export class GoogleSearchTool {
-    
-    getDeclaration() {
-        return { 
-            name: 'googleSearch',
-        };
-    }
 
-    execute(args) {
-        return;
+    getBuiltInConfig() {
+        return {
+            googleSearch: {}
+        };
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,137 @@
+import { ToolPermission } from './tool-permission.js';
+
+// JSON Schema keywords that have an equivalent in Gemini's function declaration schema
+const SUPPORTED_KEYWORDS = ['description', 'minimum', 'maximum', 'minLength', 'maxLength', 'minItems', 'maxItems'];
+
+// Formats Gemini accepts per type, any other format gets the whole setup rejected
+const SUPPORTED_FORMATS = {
+    STRING: ['enum', 'date-time'],
+    INTEGER: ['int32', 'int64'],
+    NUMBER: ['float', 'double']
+};
+
+/**
+ * Converts an MCP tool's JSON Schema into the OpenAPI subset Gemini accepts.
+ * Gemini rejects objects without properties, such as maps declared with additionalProperties,
+ * so they are left out together with arrays of them.
+ * @param {Object} schema - JSON Schema of the tool input
+ * @returns {Object|null} Gemini parameters schema, or null if the schema cannot be expressed
+ */
+export function toGeminiSchema(schema = {}) {
+    const result = {};
+    let type = schema.type;
+
+    // ["string", "null"] becomes a nullable string
+    if (Array.isArray(type)) {
+        result.nullable = type.includes('null');
+        type = type.find((t) => t !== 'null');
+    }
+    // Union schemas are not supported, fall back to their first non-null variant
+    const variants = schema.anyOf || schema.oneOf;
+    if (!type && variants) {
+        return toGeminiSchema(variants.find((variant) => variant.type !== 'null') || {});
+    }
+    result.type = (type || (schema.properties ? 'object' : 'string')).toUpperCase();
+
+    SUPPORTED_KEYWORDS.forEach((keyword) => {
+        if (schema[keyword] !== undefined) {
+            result[keyword] = schema[keyword];
+        }
+    });
+    if (SUPPORTED_FORMATS[result.type]?.includes(schema.format)) {
+        result.format = schema.format;
+    }
+    // Gemini only accepts enums of strings
+    if (result.type === 'STRING' && Array.isArray(schema.enum)) {
+        result.enum = schema.enum.map(String);
+    }
+
+    if (result.type === 'OBJECT') {
+        result.properties = {};
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            const property = toGeminiSchema(propertySchema);
+            if (property) {
+                result.properties[key] = property;
+            }
+        });
+        if (!Object.keys(result.properties).length) {
+            return null;
+        }
+        const required = (schema.required || []).filter((key) => result.properties[key]);
+        if (required.length) {
+            result.required = required;
+        }
+    }
+    if (result.type === 'ARRAY') {
+        result.items = toGeminiSchema(schema.items || {});
+        if (!result.items) {
+            return null;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Tool provided by a local MCP server. The server runs in the Electron main
+ * process, calls are routed to it over the preload bridge.
+ */
+export class McpTool {
+    /**
+     * @param {string} serverName - Name of the MCP server from its config
+     * @param {Object} tool - Tool description from the server's tools/list result
+     */
+    constructor(serverName, tool) {
+        this.serverName = serverName;
+        this.toolName = tool.name;
+        this.name = McpTool.getToolName(serverName, tool.name);
+        this.description = tool.description || `${tool.name} from the ${serverName} MCP server`;
+        this.inputSchema = tool.inputSchema;
+    }
+
+    /**
+     * Builds a function name Gemini accepts, prefixed with the server to avoid collisions
+     * @param {string} serverName - Name of the MCP server
+     * @param {string} toolName - Name of the tool on the server
+     * @returns {string}
+     */
+    static getToolName(serverName, toolName) {
+        return `${serverName}_${toolName}`.replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 64);
+    }
+
+    getDeclaration() {
+        const declaration = {
+            name: this.name,
+            description: this.description
+        };
+        // Gemini rejects objects without properties, tools without input omit the parameters
+        const parameters = this.inputSchema ? toGeminiSchema({ ...this.inputSchema, type: 'object' }) : null;
+        if (parameters) {
+            declaration.parameters = parameters;
+        }
+        return declaration;
+    }
+
+    getPermissionPolicy() {
+        return ToolPermission.ASK_ONCE;
+    }
+
+    /**
+     * Calls the tool on its server and flattens the MCP content into text
+     * @param {Object} args - Validated tool arguments
+     * @returns {Promise<string>} Text content of the result
+     */
+    async execute(args) {
+        const result = await window.api.callMcpTool(this.serverName, this.toolName, args);
+        const text = (result.content || []).map((part) => {
+            if (part.type === 'text') return part.text;
+            if (part.type === 'resource') return part.resource?.text || `[resource ${part.resource?.uri}]`;
+            return `[${part.type} content omitted]`;
+        }).join('\n');
+
+        if (result.isError) {
+            throw new Error(text || `MCP tool ${this.toolName} failed`);
+        }
+        return text;
+    }
+}
@@ -0,0 +1,14 @@
+/**
+ * Tool result carrying media for the model. Function responses only hold JSON,
+ * so the agent sends the media as inline data parts next to the tool response.
+ */
+export class MediaResult {
+    /**
+     * @param {any} output - Output sent in the function response
+     * @param {Array<{mimeType: string, data: string}>} inlineData - Base64 encoded media
+     */
+    constructor(output, inlineData = []) {
+        this.output = output;
+        this.inlineData = inlineData;
+    }
+}
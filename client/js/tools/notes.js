@@ -0,0 +1,154 @@
+/**
+ * Notes and reminders tools. Notes are persisted and reminders are scheduled
+ * by the Electron main process, so both survive restarts of the app.
+ */
+
+export class AddNoteTool {
+
+    getDeclaration() {
+        return {
+            name: 'addNote',
+            description: 'Saves a note the user asked to remember, e.g. "remember that the staging DB password rotates Friday".',
+            parameters: {
+                type: 'OBJECT',
+                properties: {
+                    text: {
+                        type: 'STRING',
+                        description: 'Content of the note',
+                        minLength: 1
+                    },
+                    tags: {
+                        type: 'ARRAY',
+                        description: 'Optional keywords to find the note later',
+                        items: { type: 'STRING' }
+                    }
+                },
+                required: ['text']
+            }
+        };
+    }
+
+    async execute(args) {
+        return await window.api.addNote(args.text, args.tags || []);
+    }
+}
+
+export class ListNotesTool {
+
+    getDeclaration() {
+        return {
+            name: 'listNotes',
+            description: 'Lists the saved notes. Pass a query to only get notes whose text or tags contain it.',
+            parameters: {
+                type: 'OBJECT',
+                properties: {
+                    query: {
+                        type: 'STRING',
+                        description: 'Optional case-insensitive search text'
+                    }
+                }
+            }
+        };
+    }
+
+    async execute(args) {
+        return await window.api.listNotes(args.query);
+    }
+}
+
+export class DeleteNoteTool {
+
+    getDeclaration() {
+        return {
+            name: 'deleteNote',
+            description: 'Deletes a saved note by its id, use listNotes to find the id.',
+            parameters: {
+                type: 'OBJECT',
+                properties: {
+                    id: {
+                        type: 'STRING',
+                        description: 'Id of the note'
+                    }
+                },
+                required: ['id']
+            }
+        };
+    }
+
+    async execute(args) {
+        return await window.api.deleteNote(args.id);
+    }
+}
+
+export class AddReminderTool {
+
+    getDeclaration() {
+        return {
+            name: 'addReminder',
+            description: 'Schedules a desktop notification, e.g. "remind me in 20 minutes". Give either inMinutes or at; call listReminders first to learn the current local time when using at.',
+            parameters: {
+                type: 'OBJECT',
+                properties: {
+                    text: {
+                        type: 'STRING',
+                        description: 'What to remind the user of',
+                        minLength: 1
+                    },
+                    inMinutes: {
+                        type: 'NUMBER',
+                        description: 'Minutes from now',
+                        minimum: 0
+                    },
+                    at: {
+                        type: 'STRING',
+                        description: 'Date and time in ISO 8601 format including the time zone offset'
+                    }
+                },
+                required: ['text']
+            }
+        };
+    }
+
+    async execute(args) {
+        return await window.api.addReminder(args.text, { inMinutes: args.inMinutes, at: args.at });
+    }
+}
+
+export class ListRemindersTool {
+
+    getDeclaration() {
+        return {
+            name: 'listReminders',
+            description: 'Lists the upcoming reminders together with the current local time.'
+        };
+    }
+
+    async execute() {
+        const reminders = await window.api.listReminders();
+        return { now: new Date().toString(), reminders };
+    }
+}
+
+export class DeleteReminderTool {
+
+    getDeclaration() {
+        return {
+            name: 'deleteReminder',
+            description: 'Cancels an upcoming reminder by its id, use listReminders to find the id.',
+            parameters: {
+                type: 'OBJECT',
+                properties: {
+                    id: {
+                        type: 'STRING',
+                        description: 'Id of the reminder'
+                    }
+                },
+                required: ['id']
+            }
+        };
+    }
+
+    async execute(args) {
+        return await window.api.deleteReminder(args.id);
+    }
+}
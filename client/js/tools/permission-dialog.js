@@ -0,0 +1,96 @@
+/**
+ * In-app dialog asking the user to approve a sensitive tool call
+ * before ToolManager executes it.
+ */
+export class ToolPermissionDialog {
+    constructor() {
+        this.pending = [];
+        this.current = null;
+        this.initializeElements();
+    }
+
+    initializeElements() {
+        this.dialog = document.createElement('div');
+        this.dialog.className = 'settings-dialog tool-permission-dialog';
+        this.dialog.innerHTML = `
+            <div class="settings-group">
+                <label>Gemini wants to use the tool <strong class="tool-permission-name"></strong></label>
+                <pre class="tool-permission-args"></pre>
+            </div>
+            <div class="tool-permission-actions">
+                <button class="tool-permission-deny">Deny</button>
+                <button class="tool-permission-allow">Allow</button>
+            </div>`;
+
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'settings-overlay tool-permission-overlay';
+
+        document.body.appendChild(this.dialog);
+        document.body.appendChild(this.overlay);
+
+        this.elements = {
+            name: this.dialog.querySelector('.tool-permission-name'),
+            args: this.dialog.querySelector('.tool-permission-args'),
+            denyBtn: this.dialog.querySelector('.tool-permission-deny'),
+            allowBtn: this.dialog.querySelector('.tool-permission-allow')
+        };
+
+        this.elements.denyBtn.addEventListener('click', () => this.answer(false));
+        this.elements.allowBtn.addEventListener('click', () => this.answer(true));
+        this.overlay.addEventListener('click', () => this.answer(false));
+    }
+
+    /**
+     * Asks the user to approve a tool call. Requests are shown one at a time.
+     * @param {Object} request
+     * @param {string} request.name - Name of the tool
+     * @param {Object} request.args - Arguments the tool will be executed with
+     * @param {string} [request.details] - Text shown instead of the raw arguments
+     * @param {AbortSignal} [request.signal] - Dismisses the request as denied when aborted
+     * @returns {Promise<boolean>} True if the user allowed the call
+     */
+    request({ name, args, details, signal }) {
+        return new Promise((resolve) => {
+            const entry = { name, args, details, resolve };
+            if (signal) {
+                signal.addEventListener('abort', () => this.dismiss(entry), { once: true });
+            }
+            this.pending.push(entry);
+            this.showNext();
+        });
+    }
+
+    showNext() {
+        if (this.current || !this.pending.length) return;
+
+        this.current = this.pending.shift();
+        this.elements.name.textContent = this.current.name;
+        this.elements.args.textContent = this.current.details || JSON.stringify(this.current.args || {}, null, 2);
+        this.dialog.classList.add('active');
+        this.overlay.classList.add('active');
+    }
+
+    answer(allowed) {
+        if (!this.current) return;
+
+        const { resolve } = this.current;
+        this.current = null;
+        this.dialog.classList.remove('active');
+        this.overlay.classList.remove('active');
+        resolve(allowed);
+        this.showNext();
+    }
+
+    /**
+     * Removes a request that is no longer relevant, e.g. because Gemini cancelled the call
+     * @param {Object} entry - Pending or current request
+     */
+    dismiss(entry) {
+        if (this.current === entry) {
+            this.answer(false);
+            return;
+        }
+        this.pending = this.pending.filter((pendingEntry) => pendingEntry !== entry);
+        entry.resolve(false);
+    }
+}
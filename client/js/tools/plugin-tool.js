@@ -0,0 +1,37 @@
+import { ToolPermission } from './tool-permission.js';
+
+/**
+ * Tool loaded from the user's plugins folder. The plugin module lives in the
+ * Electron main process, so execution is forwarded over the preload bridge.
+ */
+export class PluginTool {
+    /**
+     * @param {Object} plugin - Plugin description returned by window.api.listPluginTools()
+     * @param {string} plugin.name - Name of the tool
+     * @param {Object} plugin.declaration - Gemini function declaration
+     * @param {number} [plugin.timeout] - Execution timeout in milliseconds
+     * @param {string} [plugin.permission] - Permission policy, asks once per session by default
+     */
+    constructor({ name, declaration, timeout, permission }) {
+        this.name = name;
+        this.declaration = declaration;
+        this.timeout = timeout;
+        this.permission = permission || ToolPermission.ASK_ONCE;
+    }
+
+    getDeclaration() {
+        return this.declaration;
+    }
+
+    getTimeout() {
+        return this.timeout;
+    }
+
+    getPermissionPolicy() {
+        return this.permission;
+    }
+
+    async execute(args) {
+        return await window.api.executePluginTool(this.name, args);
+    }
+}
@@ -0,0 +1,58 @@
+/**
+ * Runs allow-listed shell commands like `git status` or `npm test` in a granted folder.
+ * The command runs in the Electron main process, every call has to be confirmed by the user.
+ */
+import { ToolPermission } from './tool-permission.js';
+
+export class RunCommandTool {
+
+    getDeclaration() {
+        return {
+            name: 'runCommand',
+            description: 'Runs a command on the user\'s computer and returns its exit code and output. Only commands on the user\'s allow-list are permitted, usually without additional arguments, shell operators such as pipes are not supported.',
+            parameters: {
+                type: 'OBJECT',
+                properties: {
+                    command: {
+                        type: 'STRING',
+                        description: 'Command line, e.g. "git status"',
+                        minLength: 1
+                    },
+                    cwd: {
+                        type: 'STRING',
+                        description: 'Working directory inside the granted folders, defaults to the first granted folder'
+                    }
+                },
+                required: ['command']
+            }
+        };
+    }
+
+    // The main process enforces the configured command timeout, this only guards against a lost reply
+    getTimeout() {
+        return 300000;
+    }
+
+    getPermissionPolicy() {
+        return ToolPermission.ASK;
+    }
+
+    isConfirmationRequired() {
+        return true;
+    }
+
+    getConfirmationText(args) {
+        return `$ ${args.command}\n\nin ${args.cwd || 'the first granted folder'}`;
+    }
+
+    async execute(args, { signal } = {}) {
+        const runId = crypto.randomUUID();
+        const cancel = () => window.api.cancelCommand(runId);
+        signal?.addEventListener('abort', cancel, { once: true });
+        try {
+            return await window.api.runCommand(runId, args.command, args.cwd);
+        } finally {
+            signal?.removeEventListener('abort', cancel);
+        }
+    }
+}
@@ -0,0 +1,168 @@
+/**
+ * Minimal validator for the OpenAPI-style schemas used in Gemini function declarations.
+ * Validates and coerces the arguments the model sends before a tool is executed.
+ * Supports type, properties, required, items, enum, nullable, default,
+ * minimum/maximum, minLength/maxLength and minItems/maxItems.
+ */
+
+/**
+ * Validates a value against a schema, coercing primitives where it is unambiguous
+ * (e.g. "5" for an integer, "true" for a boolean).
+ * @param {Object} schema - Parameters schema from getDeclaration()
+ * @param {any} value - Value received from the model
+ * @returns {{valid: boolean, value: any, errors: Array<string>}} Coerced value and validation errors
+ */
+export function validateArgs(schema, value) {
+    const errors = [];
+    const coerced = validateNode(schema, value, 'args', errors);
+    return { valid: errors.length === 0, value: coerced, errors };
+}
+
+/**
+ * Recursively validates a single schema node
+ * @param {Object} schema - Schema node
+ * @param {any} value - Value at this node
+ * @param {string} path - Path of the value used in error messages
+ * @param {Array<string>} errors - Collected error messages
+ * @returns {any} Coerced value
+ */
+function validateNode(schema, value, path, errors) {
+    if (!schema) return value;
+
+    if (value === undefined && schema.default !== undefined) {
+        value = schema.default;
+    }
+    if (value === null || value === undefined) {
+        if (value === null && !schema.nullable) {
+            errors.push(`${path} must not be null`);
+        }
+        return value;
+    }
+
+    const type = schema.type ? schema.type.toLowerCase() : null;
+    value = coerce(type, value);
+
+    switch (type) {
+        case 'string':
+            if (typeof value !== 'string') {
+                errors.push(`${path} must be a string`);
+                return value;
+            }
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push(`${path} must be at least ${schema.minLength} characters long`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors.push(`${path} must be at most ${schema.maxLength} characters long`);
+            }
+            break;
+        case 'number':
+        case 'integer':
+            if (typeof value !== 'number' || Number.isNaN(value)) {
+                errors.push(`${path} must be a ${type}`);
+                return value;
+            }
+            if (type === 'integer' && !Number.isInteger(value)) {
+                errors.push(`${path} must be an integer`);
+            }
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push(`${path} must be >= ${schema.minimum}`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push(`${path} must be <= ${schema.maximum}`);
+            }
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                errors.push(`${path} must be a boolean`);
+            }
+            break;
+        case 'array':
+            if (!Array.isArray(value)) {
+                errors.push(`${path} must be an array`);
+                return value;
+            }
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push(`${path} must contain at least ${schema.minItems} items`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push(`${path} must contain at most ${schema.maxItems} items`);
+            }
+            value = value.map((item, index) => validateNode(schema.items, item, `${path}[${index}]`, errors));
+            break;
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                errors.push(`${path} must be an object`);
+                return value;
+            }
+            value = validateObject(schema, value, path, errors);
+            break;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    return value;
+}
+
+/**
+ * Validates required fields and known properties of an object
+ * @param {Object} schema - Object schema node
+ * @param {Object} value - Object received from the model
+ * @param {string} path - Path of the object used in error messages
+ * @param {Array<string>} errors - Collected error messages
+ * @returns {Object} Copy of the object with coerced properties
+ */
+function validateObject(schema, value, path, errors) {
+    const result = { ...value };
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach((key) => {
+        if (value[key] === undefined && properties[key]?.default === undefined) {
+            errors.push(`${path}.${key} is required`);
+        }
+    });
+
+    Object.entries(properties).forEach(([key, propertySchema]) => {
+        const coerced = validateNode(propertySchema, value[key], `${path}.${key}`, errors);
+        if (coerced !== undefined) {
+            result[key] = coerced;
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Converts primitives the model commonly sends in the wrong type
+ * @param {string|null} type - Lowercased schema type
+ * @param {any} value - Value to coerce
+ * @returns {any} Coerced value, or the original when no safe conversion exists
+ */
+function coerce(type, value) {
+    switch (type) {
+        case 'number':
+        case 'integer':
+            if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+                return Number(value);
+            }
+            return value;
+        case 'boolean':
+            if (value === 'true') return true;
+            if (value === 'false') return false;
+            return value;
+        case 'string':
+            if (typeof value === 'number' || typeof value === 'boolean') {
+                return String(value);
+            }
+            return value;
+        case 'array':
+            // A single item is accepted where a list is expected
+            if (!Array.isArray(value) && typeof value !== 'object') {
+                return [value];
+            }
+            return value;
+        default:
+            return value;
+    }
+}
@@ -0,0 +1,54 @@
+/**
+ * Error codes sent back to Gemini when a tool call cannot produce an output
+ */
+export const ToolErrorCode = {
+    UNKNOWN_TOOL: 'UNKNOWN_TOOL',
+    INVALID_ARGUMENTS: 'INVALID_ARGUMENTS',
+    PERMISSION_DENIED: 'PERMISSION_DENIED',
+    TIMEOUT: 'TIMEOUT',
+    CANCELLED: 'CANCELLED',
+    EXECUTION_FAILED: 'EXECUTION_FAILED'
+};
+
+/**
+ * Error raised by the tool pipeline. Serializes to the structured
+ * { code, message, retryable } object sent in the tool response so the
+ * model can explain the failure or retry the call.
+ */
+export class ToolError extends Error {
+    /**
+     * @param {string} code - One of ToolErrorCode
+     * @param {string} message - Human readable description of the failure
+     * @param {boolean} [retryable=false] - Whether calling the tool again may succeed
+     */
+    constructor(code, message, retryable = false) {
+        super(message);
+        this.name = 'ToolError';
+        this.code = code;
+        this.retryable = retryable;
+    }
+
+    /**
+     * Wraps any thrown value into a ToolError
+     * @param {any} error - Error thrown by a tool
+     * @returns {ToolError}
+     */
+    static from(error) {
+        if (error instanceof ToolError) {
+            return error;
+        }
+        const message = error?.message || String(error);
+        return new ToolError(ToolErrorCode.EXECUTION_FAILED, message, false);
+    }
+
+    /**
+     * @returns {{code: string, message: string, retryable: boolean}} Payload for sendToolResponse
+     */
+    toJSON() {
+        return {
+            code: this.code,
+            message: this.message,
+            retryable: this.retryable
+        };
+    }
+}
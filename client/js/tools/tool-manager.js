@@ -1,14 +1,37 @@
 /**
  * Managing class where tools can be registered for easier use
- * Each tool must implement execute() and getDeclaration() methods.
+ * Client tools must implement execute() and getDeclaration() methods.
+ * Built-in server tools (e.g. googleSearch, codeExecution) implement getBuiltInConfig() instead,
+ * returning their entry for the setup's tools array; Gemini runs them on its side.
+ * execute(args, { signal }) receives an AbortSignal that is aborted when Gemini cancels the call.
+ * Tools may implement getTimeout() to override the default execution timeout in milliseconds.
+ * Arguments are validated and coerced against the declaration's parameters schema before execute().
+ * Tools may implement getPermissionPolicy() to require user confirmation before they run,
+ * isConfirmationRequired() to make that confirmation mandatory, and getConfirmationText(args)
+ * to show something more readable than the raw arguments in the confirmation prompt.
+ * Tools may return a MediaResult to hand images or other media to the model.
  */
+import { ToolError, ToolErrorCode } from './tool-error.js';
+import { validateArgs } from './schema-validator.js';
+import { ToolPermission } from './tool-permission.js';
+import { PluginTool } from './plugin-tool.js';
+import { McpTool } from './mcp-tool.js';
+import { MediaResult } from './media-result.js';
 
 export class ToolManager {
     /**
      * Initializes a new ToolManager instance for getting registering, getting declarations, and executing tools.
+     * @param {Object} [options]
+     * @param {number} [options.defaultTimeout=30000] - Timeout in ms for tools that do not declare their own
+     * @param {Function} [options.confirmToolCall] - Async callback ({ name, args, details, signal }) resolving to true if the user allows the call
      */
-    constructor() {
+    constructor({ defaultTimeout = 30000, confirmToolCall = null } = {}) {
         this.tools = new Map();
+        this.defaultTimeout = defaultTimeout;
+        this.confirmToolCall = confirmToolCall;
+        this.sessionApprovals = new Set(); // Tools approved under the ask-once policy
+        this.mcpSyncRegistered = false;
+        this.inFlightCalls = new Map(); // function call id -> AbortController
     }
 
     /**
@@ -26,48 +49,364 @@ export class ToolManager {
     }
 
     /**
-     * Collects and returns declarations from all registered tools.
-     * @returns {Array<Object>} Array of tool declarations for registered tools
+     * Registers the enabled tools from the user's plugins folder.
+     * Only available in Electron, where the main process loads the plugin modules.
+     * @returns {Promise<void>}
+     */
+    async registerPluginTools() {
+        if (!window.api || typeof window.api.listPluginTools !== 'function') {
+            return;
+        }
+
+        try {
+            const disabledTools = JSON.parse(localStorage.getItem('disabledPluginTools') || '[]');
+            const plugins = await window.api.listPluginTools();
+
+            // Calling this again reloads the plugin tools, e.g. after they were enabled or disabled
+            this.tools.forEach((tool, name) => {
+                if (tool instanceof PluginTool) {
+                    this.unregisterTool(name);
+                }
+            });
+            plugins
+                .filter((plugin) => !disabledTools.includes(plugin.name))
+                .forEach((plugin) => this.registerTool(plugin.name, new PluginTool(plugin)));
+        } catch (error) {
+            console.error('Failed to load plugin tools:', error);
+        }
+    }
+
+    /**
+     * Removes a tool from the registry.
+     * @param {string} name - Unique identifier of the tool
+     */
+    unregisterTool(name) {
+        if (this.tools.delete(name)) {
+            console.info(`Tool ${name} unregistered`);
+        }
+    }
+
+    /**
+     * Registers the tools of the configured MCP servers and keeps them in sync
+     * when a server restarts or changes its tool list. Only available in Electron.
+     * @returns {Promise<void>}
+     */
+    async registerMcpTools() {
+        if (!window.api || typeof window.api.listMcpTools !== 'function') {
+            return;
+        }
+
+        const syncMcpTools = async () => {
+            try {
+                const servers = await window.api.listMcpTools();
+                servers.forEach(({ server, tools }) => {
+                    // Replace the server's previous tools with its current list
+                    this.tools.forEach((tool, name) => {
+                        if (tool instanceof McpTool && tool.serverName === server) {
+                            this.unregisterTool(name);
+                        }
+                    });
+                    tools.forEach((tool) => {
+                        const mcpTool = new McpTool(server, tool);
+                        this.registerTool(mcpTool.name, mcpTool);
+                    });
+                });
+            } catch (error) {
+                console.error('Failed to load MCP tools:', error);
+            }
+        };
+
+        if (!this.mcpSyncRegistered) {
+            window.api.onMcpToolsChanged(() => syncMcpTools());
+            this.mcpSyncRegistered = true;
+        }
+        await syncMcpTools();
+    }
+
+    /**
+     * Checks whether a tool is executed by Gemini rather than by the client.
+     * @param {Object} tool - Registered tool instance
+     * @returns {boolean}
+     */
+    isBuiltInTool(tool) {
+        return typeof tool.getBuiltInConfig === 'function';
+    }
+
+    /**
+     * Collects and returns declarations from all registered client tools.
+     * @returns {Array<Object>} Array of function declarations for registered tools
      */
     getToolDeclarations() {
         const allDeclarations = [];
         
-        this.tools.forEach((tool) => {
+        this.tools.forEach((tool, name) => {
+            if (this.isBuiltInTool(tool)) {
+                return;
+            }
             if (tool.getDeclaration) {
                 allDeclarations.push(tool.getDeclaration());
             } else {
-                console.warn(`Tool ${tool.name} does not have a getDeclaration method`);
+                console.warn(`Tool ${name} does not have a getDeclaration method`);
             }
         });
 
         return allDeclarations;
     }
 
+    /**
+     * Builds the tools array of the setup message: one entry per built-in tool
+     * followed by a single entry holding all client function declarations.
+     * @returns {Array<Object>} Tools array for the Gemini setup config
+     */
+    getToolsConfig() {
+        const toolsConfig = [];
+
+        this.tools.forEach((tool) => {
+            if (this.isBuiltInTool(tool)) {
+                toolsConfig.push(tool.getBuiltInConfig());
+            }
+        });
+
+        const functionDeclarations = this.getToolDeclarations();
+        if (functionDeclarations.length) {
+            toolsConfig.push({ functionDeclarations });
+        }
+
+        return toolsConfig;
+    }
+
+    /**
+     * Returns the execution timeout of a tool in milliseconds.
+     * @param {Object} tool - Registered tool instance
+     * @returns {number}
+     */
+    getToolTimeout(tool) {
+        const timeout = tool.getTimeout ? tool.getTimeout() : null;
+        return Number.isFinite(timeout) && timeout > 0 ? timeout : this.defaultTimeout;
+    }
+
+    /**
+     * Validates the model's arguments against the parameters schema of the tool's declaration.
+     * @param {Object} tool - Registered tool instance
+     * @param {Object} args - Arguments received from the model
+     * @returns {{valid: boolean, value: Object, errors: Array<string>}}
+     */
+    validateToolArgs(tool, args) {
+        const schema = tool.getDeclaration ? tool.getDeclaration().parameters : null;
+        if (!schema) {
+            return { valid: true, value: args || {}, errors: [] };
+        }
+        return validateArgs(schema, args || {});
+    }
+
     /**
      * Parses tool arguments and runs execute() method of the requested tool.
+     * The tool receives an AbortSignal that fires if Gemini cancels the call or it times out.
      * @param {Object} functionCall - Function call specification
+     * @returns {Promise<Object|null>} Tool response with optional inlineData, or null if the call was cancelled
      */
     async handleToolCall(functionCall) {
         const { name, args, id } = functionCall;
         console.info(`Handling tool call: ${name}`, { args });
 
         const tool = this.tools.get(name);
+        if (!tool || this.isBuiltInTool(tool)) {
+            const error = new ToolError(ToolErrorCode.UNKNOWN_TOOL, `Tool "${name}" is not a registered client tool`);
+            console.error(`Tool execution failed: ${name}`, error);
+            return { output: null, id: id, error: error.toJSON() };
+        }
+
+        const validation = this.validateToolArgs(tool, args);
+        if (!validation.valid) {
+            const error = new ToolError(
+                ToolErrorCode.INVALID_ARGUMENTS,
+                `Invalid arguments for "${name}": ${validation.errors.join('; ')}`,
+                true
+            );
+            console.warn(`Tool call rejected: ${name}`, validation.errors);
+            return { output: null, id: id, error: error.toJSON() };
+        }
+
+        const controller = new AbortController();
+        this.inFlightCalls.set(id, controller);
+
+        try {
+            await this.checkPermission(name, tool, validation.value, controller.signal);
+        } catch (error) {
+            this.inFlightCalls.delete(id);
+            if (controller.signal.aborted) {
+                console.info(`Tool call cancelled: ${name}`, { id });
+                return null;
+            }
+            console.warn(`Tool call denied: ${name}`);
+            return { output: null, id: id, error: error.toJSON() };
+        }
+
+        const timeout = this.getToolTimeout(tool);
+        const timer = setTimeout(() => {
+            controller.abort(new ToolError(ToolErrorCode.TIMEOUT, `Tool "${name}" did not finish within ${timeout} ms`, true));
+        }, timeout);
+
         try {
-            const result = await tool.execute(args);
+            // A function response needs an output, tools that return nothing are answered with null
+            const result = await this.runWithSignal(() => tool.execute(validation.value, { signal: controller.signal }), controller.signal);
+            if (result instanceof MediaResult) {
+                return {
+                    output: result.output === undefined ? null : result.output,
+                    id: id,
+                    error: null,
+                    inlineData: result.inlineData
+                }
+            }
             return {
-                output: result,
+                output: result === undefined ? null : result,
                 id: id,
                 error: null
             }
 
         } catch (error) {
+            const toolError = ToolError.from(error);
+            if (toolError.code === ToolErrorCode.CANCELLED) {
+                console.info(`Tool call cancelled: ${name}`, { id });
+                return null;
+            }
             console.error(`Tool execution failed: ${name}`, error);
             return {
                 output: null,
                 id: id,
-                error: error.message
+                error: toolError.toJSON()
             };
+        } finally {
+            clearTimeout(timer);
+            this.inFlightCalls.delete(id);
+        }
+    }
+
+    /**
+     * Returns the permission policy of a tool. A policy set by the user takes
+     * precedence over the one declared by the tool, which defaults to allow.
+     * Tools requiring confirmation can only be tightened to deny.
+     * @param {string} name - Name of the tool
+     * @returns {string} One of ToolPermission
+     */
+    getPermissionPolicy(name) {
+        const overrides = JSON.parse(localStorage.getItem('toolPermissions') || '{}');
+        const tool = this.tools.get(name);
+        if (tool?.isConfirmationRequired && tool.isConfirmationRequired()) {
+            return overrides[name] === ToolPermission.DENY ? ToolPermission.DENY : ToolPermission.ASK;
+        }
+        if (overrides[name]) {
+            return overrides[name];
+        }
+        return tool?.getPermissionPolicy ? tool.getPermissionPolicy() : ToolPermission.ALLOW;
+    }
+
+    /**
+     * Stores the user's permission policy for a tool.
+     * @param {string} name - Name of the tool
+     * @param {string|null} policy - One of ToolPermission, or null to use the tool's own policy again
+     */
+    setPermissionPolicy(name, policy) {
+        const overrides = JSON.parse(localStorage.getItem('toolPermissions') || '{}');
+        if (policy) {
+            overrides[name] = policy;
+        } else {
+            delete overrides[name];
+        }
+        localStorage.setItem('toolPermissions', JSON.stringify(overrides));
+        this.sessionApprovals.delete(name);
+    }
+
+    /**
+     * Lists the client tools with their permission policies, for the settings
+     * @returns {Array<{name: string, policy: string|null, defaultPolicy: string, confirmationRequired: boolean}>}
+     * Policy set by the user (null if none) and the tool's own policy
+     */
+    getPermissionPolicies() {
+        const overrides = JSON.parse(localStorage.getItem('toolPermissions') || '{}');
+        return [...this.tools.entries()]
+            .filter(([, tool]) => !this.isBuiltInTool(tool))
+            .map(([name, tool]) => {
+                const confirmationRequired = Boolean(tool.isConfirmationRequired && tool.isConfirmationRequired());
+                const ownPolicy = tool.getPermissionPolicy ? tool.getPermissionPolicy() : ToolPermission.ALLOW;
+                return {
+                    name,
+                    policy: overrides[name] || null,
+                    defaultPolicy: confirmationRequired ? ToolPermission.ASK : ownPolicy,
+                    confirmationRequired
+                };
+            });
+    }
+
+    /**
+     * Forgets approvals given under the ask-once policy, e.g. when the session ends.
+     */
+    resetSessionPermissions() {
+        this.sessionApprovals.clear();
+    }
+
+    /**
+     * Applies the tool's permission policy, asking the user for confirmation if needed.
+     * @param {string} name - Name of the tool
+     * @param {Object} tool - Registered tool instance
+     * @param {Object} args - Validated arguments shown to the user
+     * @param {AbortSignal} signal - Dismisses the confirmation if the call is cancelled
+     * @throws {ToolError} PERMISSION_DENIED if the call may not run
+     */
+    async checkPermission(name, tool, args, signal) {
+        const policy = this.getPermissionPolicy(name);
+
+        if (policy === ToolPermission.ALLOW) return;
+        if (policy === ToolPermission.ASK_ONCE && this.sessionApprovals.has(name)) return;
+        if (policy === ToolPermission.DENY) {
+            throw new ToolError(ToolErrorCode.PERMISSION_DENIED, `The user has disabled the tool "${name}"`);
         }
+
+        if (!this.confirmToolCall) {
+            throw new ToolError(ToolErrorCode.PERMISSION_DENIED, `Tool "${name}" requires confirmation but no confirmation prompt is available`);
+        }
+
+        const details = tool.getConfirmationText ? tool.getConfirmationText(args) : null;
+        const allowed = await this.confirmToolCall({ name, args, details, signal });
+        if (!allowed) {
+            throw new ToolError(ToolErrorCode.PERMISSION_DENIED, `The user denied the call to "${name}"`);
+        }
+        if (policy === ToolPermission.ASK_ONCE) {
+            this.sessionApprovals.add(name);
+        }
+    }
+
+    /**
+     * Aborts in-flight tool executions so their stale responses are never sent.
+     * @param {Array<string>} ids - Identifiers of the function calls to cancel
+     */
+    cancelToolCalls(ids = []) {
+        ids.forEach((id) => {
+            const controller = this.inFlightCalls.get(id);
+            if (controller) {
+                controller.abort(new ToolError(ToolErrorCode.CANCELLED, 'Tool call was cancelled'));
+                this.inFlightCalls.delete(id);
+                console.info(`Aborted tool call ${id}`);
+            }
+        });
+    }
+
+    /**
+     * Runs the execution and settles with its result, or rejects with the abort reason
+     * as soon as the signal fires so tools that ignore the signal cannot block the session.
+     * @param {Function} execute - Starts the tool execution
+     * @param {AbortSignal} signal - Signal of the current call
+     * @returns {Promise<any>}
+     */
+    runWithSignal(execute, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => reject(signal.reason);
+            signal.addEventListener('abort', onAbort, { once: true });
+            Promise.resolve()
+                .then(execute)
+                .then(resolve, reject)
+                .finally(() => signal.removeEventListener('abort', onAbort));
+        });
     }
 
 }
\ No newline at end of file
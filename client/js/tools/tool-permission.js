@@ -0,0 +1,9 @@
+/**
+ * Permission policies deciding whether a tool call needs the user's approval
+ */
+export const ToolPermission = {
+    ALLOW: 'allow',       // Always execute
+    ASK: 'ask',           // Confirm every call
+    ASK_ONCE: 'ask-once', // Confirm the first call of the session
+    DENY: 'deny'          // Never execute
+};
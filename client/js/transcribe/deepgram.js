@@ -1,18 +1,23 @@
+import { Transcriber } from './transcriber.js';
+
 /**
  * Establishes a websocket connection to Deepgram API
  * for real-time audio transcription
  * Utilizes Free Tier of Deepgram API
  */
-export class DeepgramTranscriber {
+export class DeepgramTranscriber extends Transcriber {
     constructor(apiKey, sampleRate) {
+        super(sampleRate);
         this.apiKey = apiKey;
         this.ws = null;
-        this.isConnected = false;
-        this.eventListeners = new Map();
-        this.sampleRate = sampleRate;
+        this.keepAliveInterval = null;
         console.info('DeepgramTranscriber initialized');
     }
 
+    /**
+     * Opens the websocket and configures the stream
+     * @returns {Promise<void>} Resolves once the connection is established
+     */
     async connect() {
         try {
             const url = `wss://api.deepgram.com/v1/listen?encoding=linear16&sample_rate=${this.sampleRate}`;
@@ -22,6 +27,11 @@ export class DeepgramTranscriber {
             this.ws = new WebSocket(url, ['token', this.apiKey]);
             this.ws.binaryType = 'arraybuffer';
 
+            const opened = new Promise((resolve, reject) => {
+                this.ws.addEventListener('open', resolve, { once: true });
+                this.ws.addEventListener('error', reject, { once: true });
+            });
+
             this.ws.onopen = () => {
                 this.isConnected = true;
                 console.info('WebSocket connection established');
@@ -42,6 +52,14 @@ export class DeepgramTranscriber {
                 
                 console.debug('Sending configuration:', config);
                 this.ws.send(JSON.stringify(config));
+
+                // Deepgram closes streams that receive no data for 10 seconds
+                this.keepAliveInterval = setInterval(() => {
+                    if (this.isConnected) {
+                        this.ws.send(JSON.stringify({ type: 'KeepAlive' }));
+                        console.info('Sent keep-alive message to Deepgram');
+                    }
+                }, 10000);
                 this.emit('connected');
             };
 
@@ -77,9 +95,12 @@ export class DeepgramTranscriber {
             this.ws.onclose = () => {
                 console.info('WebSocket connection closed');
                 this.isConnected = false;
+                clearInterval(this.keepAliveInterval);
+                this.keepAliveInterval = null;
                 this.emit('disconnected');
             };
 
+            await opened;
         } catch (error) {
             console.error('Error in connect():', error);
             throw error;
@@ -94,6 +115,8 @@ export class DeepgramTranscriber {
     }
 
     disconnect() {
+        clearInterval(this.keepAliveInterval);
+        this.keepAliveInterval = null;
         if (this.ws) {
             this.ws.send(JSON.stringify({ type: 'CloseStream' }));
             this.ws.close();
@@ -101,18 +124,4 @@ export class DeepgramTranscriber {
             this.isConnected = false;
         }
     }
-
-    on(eventName, callback) {
-        if (!this.eventListeners.has(eventName)) {
-            this.eventListeners.set(eventName, []);
-        }
-        this.eventListeners.get(eventName).push(callback);
-    }
-
-    emit(eventName, data) {
-        const listeners = this.eventListeners.get(eventName);
-        if (listeners) {
-            listeners.forEach(callback => callback(data));
-        }
-    }
-}
\ No newline at end of file
+}
@@ -0,0 +1,26 @@
+import { Transcriber } from './transcriber.js';
+
+/**
+ * Uses the transcriptions the Gemini Live API produces itself when
+ * inputAudioTranscription or outputAudioTranscription is enabled in the setup,
+ * see getConfig(). No audio has to be sent anywhere else.
+ */
+export class GeminiNativeTranscriber extends Transcriber {
+    async connect() {
+        this.isConnected = true;
+        this.emit('connected');
+    }
+
+    sendAudio(audioData) {
+        // Gemini transcribes the audio of the session itself
+    }
+
+    receiveServerTranscription(text) {
+        this.emit('transcription', text);
+    }
+
+    disconnect() {
+        this.isConnected = false;
+        this.emit('disconnected');
+    }
+}
@@ -0,0 +1,76 @@
+import { DeepgramTranscriber } from './deepgram.js';
+import { GeminiNativeTranscriber } from './gemini-native.js';
+import { StubTranscriber } from './stub.js';
+import { WhisperTranscriber } from './whisper.js';
+
+/**
+ * Registry of the speech-to-text backends that can be selected in the settings,
+ * separately for the user's and the model's speech.
+ */
+
+const transcribers = new Map();
+
+/**
+ * Adds a backend to the registry
+ * @param {string} id - Stored in the settings
+ * @param {Object} backend
+ * @param {string} backend.label - Shown in the settings
+ * @param {Function} backend.create - ({ sampleRate, deepgramApiKey, direction }) => Transcriber
+ * @param {Function} [backend.isAvailable] - Returns false to hide the backend, e.g. outside Electron
+ */
+export function registerTranscriber(id, { label, create, isAvailable = () => true }) {
+    transcribers.set(id, { label, create, isAvailable });
+}
+
+/**
+ * @returns {Array<{id: string, label: string}>} Backends available in this environment
+ */
+export function getTranscriberOptions() {
+    return [...transcribers.entries()]
+        .filter(([, backend]) => backend.isAvailable())
+        .map(([id, { label }]) => ({ id, label }));
+}
+
+/**
+ * Creates a transcriber of the given backend
+ * @param {string} id - Id of a registered backend
+ * @param {Object} options - Passed to the backend's create function
+ * @param {number} options.sampleRate - Sample rate of the audio that will be sent
+ * @param {string} options.direction - 'user' or 'model'
+ * @param {string} [options.deepgramApiKey]
+ * @returns {Transcriber}
+ */
+export function createTranscriber(id, options) {
+    const backend = transcribers.get(id);
+    if (!backend || !backend.isAvailable()) {
+        throw new Error(`Transcriber ${id} is not available`);
+    }
+    return backend.create(options);
+}
+
+registerTranscriber('deepgram', {
+    label: 'Deepgram',
+    create: ({ sampleRate, deepgramApiKey }) => {
+        if (!deepgramApiKey) {
+            throw new Error('Deepgram requires an API key');
+        }
+        return new DeepgramTranscriber(deepgramApiKey, sampleRate);
+    }
+});
+
+registerTranscriber('gemini', {
+    label: 'Gemini built-in',
+    create: ({ sampleRate }) => new GeminiNativeTranscriber(sampleRate)
+});
+
+registerTranscriber('whisper', {
+    label: 'Local whisper.cpp (offline)',
+    create: ({ sampleRate }) => new WhisperTranscriber(sampleRate),
+    // The binary is run by the Electron main process
+    isAvailable: () => Boolean(window.api?.startWhisper)
+});
+
+registerTranscriber('stub', {
+    label: 'Test stub (placeholder text)',
+    create: ({ sampleRate }) => new StubTranscriber(sampleRate)
+});
@@ -0,0 +1,41 @@
+import { Transcriber } from './transcriber.js';
+
+/**
+ * Fake backend for development and tests: emits a placeholder transcript
+ * for every few seconds of received audio, without any network access.
+ */
+export class StubTranscriber extends Transcriber {
+    /**
+     * @param {number} sampleRate - Sample rate of the received audio
+     * @param {number} [secondsPerTranscript=3] - Seconds of audio per emitted transcript
+     */
+    constructor(sampleRate, secondsPerTranscript = 3) {
+        super(sampleRate);
+        this.bytesPerTranscript = sampleRate * 2 * secondsPerTranscript; // 16-bit mono
+        this.receivedBytes = 0;
+        this.transcriptCount = 0;
+    }
+
+    async connect() {
+        this.isConnected = true;
+        this.emit('connected');
+    }
+
+    sendAudio(audioData) {
+        if (!this.isConnected) {
+            throw new Error('Stub transcriber is not connected');
+        }
+        this.receivedBytes += audioData.byteLength;
+        while (this.receivedBytes >= this.bytesPerTranscript) {
+            this.receivedBytes -= this.bytesPerTranscript;
+            this.transcriptCount++;
+            this.emit('transcription', `[stub transcript ${this.transcriptCount}]`);
+        }
+    }
+
+    disconnect() {
+        this.isConnected = false;
+        this.receivedBytes = 0;
+        this.emit('disconnected');
+    }
+}
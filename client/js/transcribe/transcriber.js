@@ -0,0 +1,57 @@
+/**
+ * Common interface of the speech-to-text backends.
+ * A transcriber receives raw 16-bit PCM audio through sendAudio() and emits:
+ * - 'connected' once it is ready to receive audio
+ * - 'transcription' with the transcribed text
+ * - 'error' with an Error
+ * - 'disconnected' when it stopped
+ */
+export class Transcriber {
+    /**
+     * @param {number} sampleRate - Sample rate of the audio passed to sendAudio()
+     */
+    constructor(sampleRate) {
+        this.sampleRate = sampleRate;
+        this.isConnected = false;
+        this.eventListeners = new Map();
+    }
+
+    /**
+     * Starts the backend
+     * @returns {Promise<void>} Resolves once audio can be sent
+     */
+    async connect() {
+        throw new Error(`${this.constructor.name} must implement connect()`);
+    }
+
+    /**
+     * @param {ArrayBuffer|Uint8Array} audioData - 16-bit PCM audio
+     */
+    sendAudio(audioData) {
+        throw new Error(`${this.constructor.name} must implement sendAudio()`);
+    }
+
+    disconnect() {
+        throw new Error(`${this.constructor.name} must implement disconnect()`);
+    }
+
+    /**
+     * Transcriptions produced by the Gemini session itself, only used by backends relying on them
+     * @param {string} text - Text of inputTranscription or outputTranscription
+     */
+    receiveServerTranscription(text) {}
+
+    on(eventName, callback) {
+        if (!this.eventListeners.has(eventName)) {
+            this.eventListeners.set(eventName, []);
+        }
+        this.eventListeners.get(eventName).push(callback);
+    }
+
+    emit(eventName, data) {
+        const listeners = this.eventListeners.get(eventName);
+        if (listeners) {
+            listeners.forEach(callback => callback(data));
+        }
+    }
+}
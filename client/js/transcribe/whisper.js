@@ -0,0 +1,61 @@
+import { Transcriber } from './transcriber.js';
+
+const activeTranscribers = new Map(); // session id -> WhisperTranscriber
+let isListening = false;
+
+// Results of all sessions arrive on the same IPC channels, subscribe once and route by session id
+const listenForResults = () => {
+    if (isListening) return;
+    isListening = true;
+    window.api.onWhisperTranscription((sessionId, text) => activeTranscribers.get(sessionId)?.emit('transcription', text));
+    window.api.onWhisperError((sessionId, message) => activeTranscribers.get(sessionId)?.emit('error', new Error(message)));
+};
+
+/**
+ * Offline transcription with a local whisper.cpp binary run by the Electron main process.
+ * The audio is streamed over IPC, transcripts arrive whenever the speaker pauses.
+ */
+export class WhisperTranscriber extends Transcriber {
+    constructor(sampleRate) {
+        super(sampleRate);
+        this.sessionId = null;
+        console.info('WhisperTranscriber initialized');
+    }
+
+    /**
+     * Starts a transcription session in the main process
+     * @returns {Promise<void>} Rejects if whisper.cpp is not configured
+     */
+    async connect() {
+        listenForResults();
+        const sessionId = crypto.randomUUID();
+        await window.api.startWhisper(sessionId, this.sampleRate);
+        this.sessionId = sessionId;
+        activeTranscribers.set(sessionId, this);
+        this.isConnected = true;
+        this.emit('connected');
+    }
+
+    sendAudio(audioData) {
+        if (!this.isConnected) {
+            throw new Error('Whisper transcriber is not connected');
+        }
+        window.api.sendWhisperAudio(this.sessionId, new Uint8Array(audioData));
+    }
+
+    /**
+     * Stops sending audio, the transcript of the last words still arrives
+     */
+    disconnect() {
+        if (!this.sessionId) return;
+        const sessionId = this.sessionId;
+        this.sessionId = null;
+        this.isConnected = false;
+        window.api.stopWhisper(sessionId)
+            .catch((error) => console.warn('Failed to stop the whisper.cpp session:', error))
+            .finally(() => {
+                activeTranscribers.delete(sessionId);
+                this.emit('disconnected');
+            });
+    }
+}
@@ -0,0 +1,106 @@
+const ROWS = [
+    ['prompt', 'Prompt'],
+    ['response', 'Response'],
+    ['text', 'Text'],
+    ['audio', 'Audio'],
+    ['image', 'Image & video'],
+    ['total', 'Total']
+];
+
+const formatTokens = (count) => count.toLocaleString();
+
+/**
+ * Dialog showing the token usage of the last turn, the current session and all sessions.
+ */
+export class UsagePanel {
+    /**
+     * @param {UsageTracker} usageTracker - Provides the totals and is updated live while the panel is open
+     */
+    constructor(usageTracker) {
+        this.usageTracker = usageTracker;
+        this.initializeElements();
+        this.usageTracker.on('updated', (totals) => this.render(totals));
+        this.render(this.usageTracker.getTotals());
+    }
+
+    initializeElements() {
+        this.dialog = document.createElement('div');
+        this.dialog.className = 'settings-dialog usage-panel';
+        this.dialog.innerHTML = `
+            <div class="settings-group">
+                <label>Token Usage</label>
+                <table class="usage-table">
+                    <thead>
+                        <tr><th>Tokens</th><th>Last turn</th><th>Session</th><th>All time</th></tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+                <div class="usage-budget"></div>
+            </div>
+            <div class="usage-actions">
+                <button class="usage-reset-btn settings-secondary-btn">Reset All Time</button>
+                <button class="usage-close-btn settings-secondary-btn">Close</button>
+            </div>`;
+
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'settings-overlay';
+
+        document.body.appendChild(this.dialog);
+        document.body.appendChild(this.overlay);
+
+        this.elements = {
+            rows: this.dialog.querySelector('.usage-table tbody'),
+            budget: this.dialog.querySelector('.usage-budget'),
+            resetBtn: this.dialog.querySelector('.usage-reset-btn'),
+            closeBtn: this.dialog.querySelector('.usage-close-btn')
+        };
+
+        this.elements.resetBtn.addEventListener('click', () => this.usageTracker.resetAllTime());
+        this.elements.closeBtn.addEventListener('click', () => this.hide());
+        this.overlay.addEventListener('click', () => this.hide());
+    }
+
+    /**
+     * @param {Object} totals - Totals from UsageTracker.getTotals()
+     */
+    render({ turn, session, allTime, budget }) {
+        this.elements.rows.innerHTML = '';
+        ROWS.forEach(([key, label]) => {
+            const row = document.createElement('tr');
+            [label, formatTokens(turn[key]), formatTokens(session[key]), formatTokens(allTime[key])].forEach((text) => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            this.elements.rows.appendChild(row);
+        });
+
+        if (budget) {
+            const percent = Math.min(100, Math.round(session.total / budget * 100));
+            this.elements.budget.textContent = `Session budget: ${formatTokens(session.total)} of ${formatTokens(budget)} tokens (${percent}%)`;
+            this.elements.budget.classList.toggle('exceeded', session.total >= budget);
+        } else {
+            this.elements.budget.textContent = 'No session budget set, configure one in Settings → Usage.';
+            this.elements.budget.classList.remove('exceeded');
+        }
+    }
+
+    show() {
+        this.render(this.usageTracker.getTotals());
+        this.dialog.classList.add('active');
+        this.overlay.classList.add('active');
+    }
+
+    hide() {
+        this.dialog.classList.remove('active');
+        this.overlay.classList.remove('active');
+    }
+
+    toggle() {
+        if (this.dialog.classList.contains('active')) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+}
@@ -0,0 +1,152 @@
+/**
+ * Aggregates the token usage reported by the Live API in usageMetadata
+ * per turn, per session and across sessions (persisted in localStorage),
+ * and enforces the optional per-session token budget from the settings.
+ */
+
+const STORAGE_KEY = 'usageTotals';
+
+/**
+ * @returns {{prompt: number, response: number, audio: number, image: number, text: number, total: number}}
+ */
+const emptyUsage = () => ({ prompt: 0, response: 0, audio: 0, image: 0, text: 0, total: 0 });
+
+/**
+ * Converts usageMetadata of the Live API into flat token counts.
+ * Video frames are counted as image tokens.
+ * @param {Object} usageMetadata - usageMetadata of a server message
+ * @returns {Object} Token counts in the format of emptyUsage()
+ */
+export function parseUsageMetadata(usageMetadata) {
+    const usage = emptyUsage();
+    usage.prompt = usageMetadata.promptTokenCount || 0;
+    usage.response = usageMetadata.responseTokenCount || usageMetadata.candidatesTokenCount || 0;
+    usage.total = usageMetadata.totalTokenCount || usage.prompt + usage.response;
+
+    const details = [
+        ...(usageMetadata.promptTokensDetails || []),
+        ...(usageMetadata.responseTokensDetails || usageMetadata.candidatesTokensDetails || [])
+    ];
+    details.forEach(({ modality, tokenCount = 0 }) => {
+        if (modality === 'AUDIO') usage.audio += tokenCount;
+        if (modality === 'IMAGE' || modality === 'VIDEO') usage.image += tokenCount;
+        if (modality === 'TEXT') usage.text += tokenCount;
+    });
+    return usage;
+}
+
+const addUsage = (target, usage) => {
+    Object.keys(target).forEach((key) => {
+        target[key] += usage[key] || 0;
+    });
+};
+
+export class UsageTracker {
+    constructor() {
+        this._eventListeners = new Map();
+        this.turn = emptyUsage();
+        this.lastTurn = null;
+        this.session = emptyUsage();
+        this.allTime = this.loadAllTime();
+        this.budgetExceeded = false;
+    }
+
+    on(eventName, callback) {
+        if (!this._eventListeners.has(eventName)) {
+            this._eventListeners.set(eventName, []);
+        }
+        this._eventListeners.get(eventName).push(callback);
+    }
+
+    emit(eventName, data) {
+        if (!this._eventListeners.has(eventName)) {
+            return;
+        }
+        for (const callback of this._eventListeners.get(eventName)) {
+            callback(data);
+        }
+    }
+
+    loadAllTime() {
+        try {
+            return { ...emptyUsage(), ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+        } catch (error) {
+            return emptyUsage();
+        }
+    }
+
+    /**
+     * Budget settings, read on every check so changes apply without a reload
+     * @returns {{budget: number, action: string}} Budget in tokens (0 = unlimited) and 'warn' or 'disconnect'
+     */
+    getBudget() {
+        return {
+            budget: parseInt(localStorage.getItem('sessionTokenBudget')) || 0,
+            action: localStorage.getItem('budgetAction') || 'warn'
+        };
+    }
+
+    /**
+     * Adds the usage of a server message to the turn, session and all-time totals
+     * @param {Object} usageMetadata - usageMetadata of a server message
+     */
+    record(usageMetadata) {
+        const usage = parseUsageMetadata(usageMetadata);
+        addUsage(this.turn, usage);
+        addUsage(this.session, usage);
+        addUsage(this.allTime, usage);
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(this.allTime));
+
+        this.emit('updated', this.getTotals());
+        this.checkBudget();
+    }
+
+    checkBudget() {
+        const { budget, action } = this.getBudget();
+        if (!budget || this.budgetExceeded || this.session.total < budget) return;
+
+        this.budgetExceeded = true;
+        console.warn(`Session token budget of ${budget} exceeded (${this.session.total} tokens used)`);
+        this.emit('budget_exceeded', { budget, used: this.session.total, action });
+    }
+
+    /**
+     * Closes the current turn, its totals are kept as the last turn until the next one starts
+     */
+    endTurn() {
+        this.lastTurn = this.turn;
+        this.turn = emptyUsage();
+        this.emit('updated', this.getTotals());
+    }
+
+    /**
+     * Starts counting a new session, e.g. when connecting after a disconnect
+     */
+    startSession() {
+        this.turn = emptyUsage();
+        this.lastTurn = null;
+        this.session = emptyUsage();
+        this.budgetExceeded = false;
+        this.emit('updated', this.getTotals());
+    }
+
+    resetAllTime() {
+        this.allTime = emptyUsage();
+        localStorage.removeItem(STORAGE_KEY);
+        this.emit('updated', this.getTotals());
+    }
+
+    /**
+     * @returns {{turn: Object, session: Object, allTime: Object, budget: number}} Current totals
+     */
+    getTotals() {
+        // Show the last completed turn while no new usage arrived
+        const hasTurnUsage = this.turn.total > 0 || !this.lastTurn;
+        return {
+            turn: hasTurnUsage ? this.turn : this.lastTurn,
+            session: this.session,
+            allTime: this.allTime,
+            budget: this.getBudget().budget
+        };
+    }
+}
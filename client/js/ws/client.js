@@ -3,6 +3,8 @@
  * This class handles the connection, sending and receiving messages, and processing responses.
  */
 import { blobToJSON, base64ToArrayBuffer } from '../utils/utils.js';
+import { ToolError, ToolErrorCode } from '../tools/tool-error.js';
+import { SetupError } from './setup-error.js';
 
 export class GeminiWebsocketClient {
     /**
@@ -22,6 +24,19 @@ export class GeminiWebsocketClient {
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 3;
         this.reconnectDelay = 2000; // Start with 2 second delay
+        this.reconnectTimer = null;
+        this.isSetupComplete = false;
+        this.setupTimeout = 15000;
+        this.setupTimer = null;
+        this.setupHandlers = null; // resolve/reject of the pending connect() call
+        this.pendingMessages = []; // Messages sent before setupComplete
+        this.maxPendingMessages = 500;
+        this.resumptionHandle = null; // Latest handle to resume the session after a reconnect
+        this.setupHandle = null; // Handle sent with the current setup, if any
+        this.replacedSocket = null; // Socket being closed after a goAway
+        this.connectingSocket = null; // Socket of the current attempt until its setup completes
+        this.closedSockets = new WeakSet(); // Sockets closed by disconnect(), their events are ignored
+        this.hasConnected = false; // Whether a session was set up before, i.e. the next one is a reconnect
     }
 
     /**
@@ -58,9 +73,42 @@ export class GeminiWebsocketClient {
         return this.ws && this.ws.readyState === WebSocket.OPEN;
     }
 
+    /**
+     * Checks if the session setup was accepted and messages can be sent
+     * @returns {boolean} True if the connection is open and setup is complete
+     */
+    isReady() {
+        return this.isConnected() && this.isSetupComplete;
+    }
+
+    /**
+     * Checks if the connection is open or currently being (re)established
+     * @returns {boolean} True if messages sent now will reach a session
+     */
+    isActive() {
+        return this.isConnected() || this.isConnecting || Boolean(this.reconnectTimer);
+    }
+
+    /**
+     * Builds the setup message. If session resumption is enabled in the config and
+     * the server gave us a handle, it is added so the previous session continues.
+     * @returns {Object} Setup configuration
+     */
+    getSetupConfig() {
+        if (!this.config.sessionResumption) {
+            return this.config;
+        }
+        return {
+            ...this.config,
+            sessionResumption: this.resumptionHandle ? { handle: this.resumptionHandle } : {}
+        };
+    }
+
     /**
      * Establishes a WebSocket connection and initializes the session with a configuration.
-     * @returns {Promise} Resolves when the connection is established and setup is complete
+     * Failed connection attempts are retried, the promise settles with the outcome of the last attempt.
+     * @returns {Promise} Resolves when the server confirmed the setup with setupComplete,
+     * rejects with a SetupError if the setup is rejected or with an Error once the retries are exhausted
      */
     async connect() {
         if (this.isConnected()) {
@@ -72,58 +120,128 @@ export class GeminiWebsocketClient {
         }
 
         console.info('🔗 Establishing WebSocket connection...');
+        this.emit('connecting');
         this.isConnecting = true;
+        this.isSetupComplete = false;
         this.connectionPromise = new Promise((resolve, reject) => {
             const ws = new WebSocket(this.url);
+            this.connectingSocket = ws;
+            let opened = false;
+
+            // Settled by receive() once setupComplete arrives
+            this.setupHandlers = { resolve, reject };
 
             // Send setup message upon successful connection
             ws.addEventListener('open', () => {
+                if (this.closedSockets.has(ws)) return;
                 console.info('🔗 Successfully connected to websocket');
                 this.ws = ws;
-                this.isConnecting = false;
-                this.reconnectAttempts = 0; // Reset reconnect attempts on successful connection
+                opened = true;
 
                 // Configure
-                this.sendJSON({ setup: this.config });
-                console.debug("Setup message with the following configuration was sent:", this.config);
-                
-                // Emit connected event
-                this.emit('connected', {});
-                resolve();
+                const setup = this.getSetupConfig();
+                this.setupHandle = this.resumptionHandle;
+                this.sendJSON({ setup });
+                console.debug("Setup message with the following configuration was sent:", setup);
+                this.emit('setting_up');
+
+                this.setupTimer = setTimeout(() => {
+                    this.failSetup(new SetupError(`No setupComplete received within ${this.setupTimeout / 1000} seconds`));
+                    ws.close(1000, 'Setup timed out');
+                }, this.setupTimeout);
             });
 
-            // Handle connection errors
+            // Handle connection errors. A close event always follows, which retries
+            // the connection or settles the pending connect() call.
             ws.addEventListener('error', (error) => {
-                this.isConnecting = false;
+                if (ws === this.replacedSocket || this.closedSockets.has(ws)) return;
                 const reason = error.reason || 'Unknown';
                 const message = `Could not connect to "${this.url}. Reason: ${reason}"`;
                 console.error(message, error);
                 this.emit('connection_error', { error });
-                reject(error);
             });
 
             // Handle connection close
             ws.addEventListener('close', (event) => {
+                // The session already moved to a new socket after a goAway
+                if (ws === this.replacedSocket) {
+                    this.replacedSocket = null;
+                    return;
+                }
+                // Closed by disconnect(), which already cleaned up
+                if (this.closedSockets.has(ws)) {
+                    return;
+                }
+                if (ws === this.connectingSocket) {
+                    this.connectingSocket = null;
+                }
+
                 this.isConnecting = false;
+                clearTimeout(this.setupTimer);
                 console.warn(`WebSocket connection closed. Code: ${event.code}, Reason: ${event.reason}`);
+
+                // Closing an opened socket before setupComplete with an invalid argument (1007) or
+                // policy violation (1008) means the server rejected the setup, reconnecting with the
+                // same config would fail again. Other codes, e.g. a dropped network, are retried.
+                const setupRejected = opened && !this.isSetupComplete && [1007, 1008].includes(event.code);
+                if (setupRejected && this.setupHandle) {
+                    // The handle expired or is invalid, start a new session instead
+                    console.warn(`${this.name} could not resume the session, starting a new one`);
+                    this.resumptionHandle = null;
+                    const handlers = this.setupHandlers;
+                    this.setupHandlers = null;
+                    this.emit('session_resumption_failed', { code: event.code, reason: event.reason });
+                    this.connect().then(handlers?.resolve, handlers?.reject);
+                    return;
+                }
+                if (setupRejected) {
+                    this.failSetup(new SetupError(event.reason || 'Unknown reason', event.code));
+                }
+                this.isSetupComplete = false;
                 this.emit('disconnected', { code: event.code, reason: event.reason });
                 
                 // Attempt reconnect if not a normal closure and we haven't exceeded max attempts
-                if (event.code !== 1000 && this.reconnectAttempts < this.maxReconnectAttempts) {
+                if (!setupRejected && event.code !== 1000 && this.reconnectAttempts < this.maxReconnectAttempts) {
                     this.reconnectAttempts++;
                     const delay = this.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1); // Exponential backoff
                     console.info(`Attempting to reconnect in ${delay/1000} seconds... (Attempt ${this.reconnectAttempts} of ${this.maxReconnectAttempts})`);
+                    this.emit('reconnecting', {
+                        attempt: this.reconnectAttempts,
+                        maxAttempts: this.maxReconnectAttempts,
+                        delay,
+                        reason: event.reason || `Connection closed with code ${event.code}`
+                    });
                     
-                    setTimeout(() => {
-                        this.connect().catch(err => {
-                            console.error('Reconnection failed:', err);
-                        });
+                    // A pending connect() call settles with the outcome of the reconnection
+                    const handlers = this.setupHandlers;
+                    this.setupHandlers = null;
+                    this.reconnectTimer = setTimeout(() => {
+                        this.reconnectTimer = null;
+                        const reconnection = this.connect();
+                        if (handlers) {
+                            reconnection.then(handlers.resolve, handlers.reject);
+                        } else {
+                            reconnection.catch(err => {
+                                console.error('Reconnection failed:', err);
+                            });
+                        }
                     }, delay);
+                } else {
+                    // Nobody will send the queued messages anymore
+                    this.pendingMessages = [];
+                    if (!setupRejected && event.code !== 1000) {
+                        this.emit('reconnect_failed', { code: event.code, reason: event.reason });
+                    }
+                    if (this.setupHandlers) {
+                        this.setupHandlers.reject(new Error(`Connection closed with code ${event.code} before the setup completed`));
+                        this.setupHandlers = null;
+                    }
                 }
             });
 
             // Listen for incoming messages, expecting Blob data for binary streams
             ws.addEventListener('message', async (event) => {
+                if (this.closedSockets.has(ws)) return;
                 if (event.data instanceof Blob) {
                     this.receive(event.data);
                 } else {
@@ -136,18 +254,106 @@ export class GeminiWebsocketClient {
     }
 
     /**
-     * Gracefully disconnect the WebSocket connection
+     * Marks the session as ready once the server accepted the setup and sends queued messages.
+     * Listeners of the connected event can send messages, e.g. replayed context, before the queued ones.
+     */
+    completeSetup() {
+        clearTimeout(this.setupTimer);
+        this.connectingSocket = null;
+        this.isSetupComplete = true;
+        this.isConnecting = false;
+        this.reconnectAttempts = 0; // Reset reconnect attempts on successful setup
+        console.info(`${this.name} setup complete`);
+
+        const resumed = Boolean(this.setupHandle);
+        if (resumed) {
+            console.info(`${this.name} resumed the previous session`);
+        }
+        const reconnected = this.hasConnected;
+        this.hasConnected = true;
+        this.emit('connected', { resumed, reconnected });
+
+        const pendingMessages = this.pendingMessages;
+        this.pendingMessages = [];
+        pendingMessages.forEach((message) => this.safelySendJSON(message));
+        if (pendingMessages.length) {
+            console.debug(`Sent ${pendingMessages.length} message(s) queued during setup to ${this.name}`);
+        }
+
+        if (this.setupHandlers) {
+            this.setupHandlers.resolve();
+            this.setupHandlers = null;
+        }
+    }
+
+    /**
+     * Rejects the pending connect() call and reports why the setup failed.
+     * @param {SetupError} error - Reason of the failure
+     */
+    failSetup(error) {
+        clearTimeout(this.setupTimer);
+        console.error(error.message);
+        this.emit('setup_error', error);
+        if (this.setupHandlers) {
+            this.setupHandlers.reject(error);
+            this.setupHandlers = null;
+        }
+    }
+
+    /**
+     * Moves the session to a new socket before the server closes the current one.
+     * The current socket keeps delivering responses until the new session is ready,
+     * messages sent in between are queued for the new session.
+     * @returns {Promise} Resolves when the new session is set up
+     */
+    async reconnect() {
+        this.emit('reconnecting', { delay: 0, reason: 'The server asked to move to a new connection' });
+        const previousSocket = this.ws;
+        this.replacedSocket = previousSocket;
+        this.ws = null;
+        this.isSetupComplete = false;
+        this.isConnecting = false;
+        this.connectionPromise = null;
+
+        try {
+            await this.connect();
+        } finally {
+            if (previousSocket) {
+                previousSocket.close(1000, 'Session moved to a new connection');
+            }
+        }
+    }
+
+    /**
+     * Gracefully disconnect the WebSocket connection, including a connection
+     * that is still being established. A pending connect() call is rejected.
      */
     disconnect() {
-        if (this.ws) {
-            // Prevent reconnection attempts for intentional disconnection
-            this.reconnectAttempts = this.maxReconnectAttempts;
-            
+        clearTimeout(this.reconnectTimer);
+        clearTimeout(this.setupTimer);
+        this.reconnectTimer = null;
+        this.pendingMessages = [];
+        // Prevent reconnection attempts for intentional disconnection
+        this.reconnectAttempts = this.maxReconnectAttempts;
+
+        if (this.setupHandlers) {
+            this.setupHandlers.reject(new Error(`${this.name} was disconnected before the setup completed`));
+            this.setupHandlers = null;
+        }
+
+        const sockets = [this.ws, this.connectingSocket].filter(Boolean);
+        sockets.forEach((socket) => {
+            this.closedSockets.add(socket);
             // Close with normal closure code
-            this.ws.close(1000, "User initiated disconnect");
-            this.ws = null;
-            this.isConnecting = false;
-            this.connectionPromise = null;
+            socket.close(1000, "User initiated disconnect");
+        });
+        this.ws = null;
+        this.connectingSocket = null;
+        this.isConnecting = false;
+        this.isSetupComplete = false;
+        this.connectionPromise = null;
+        this.resumptionHandle = null;
+        if (sockets.length) {
             console.info(`${this.name} successfully disconnected from websocket`);
         }
     }
@@ -159,6 +365,38 @@ export class GeminiWebsocketClient {
      */
     async receive(blob) {
         const response = await blobToJSON(blob);
+
+        // The server accepted the setup, the session is ready
+        if (response.setupComplete) {
+            this.completeSetup();
+            return;
+        }
+
+        // Token usage can arrive alone or next to any other field, which is still handled below
+        if (response.usageMetadata) {
+            console.debug(`${this.name} reported usage`, response.usageMetadata);
+            this.emit('usage', response.usageMetadata);
+        }
+
+        // Keep the latest handle to resume the session after a reconnect
+        if (response.sessionResumptionUpdate) {
+            const { newHandle, resumable } = response.sessionResumptionUpdate;
+            if (resumable && newHandle) {
+                this.resumptionHandle = newHandle;
+            }
+            this.emit('session_resumption_update', response.sessionResumptionUpdate);
+            return;
+        }
+
+        // The server will close the connection soon, move the session to a new one before it does
+        if (response.goAway) {
+            console.warn(`${this.name} received goAway, time left: ${response.goAway.timeLeft}`);
+            this.emit('go_away', response.goAway);
+            this.reconnect().catch((error) => {
+                console.error('Reconnection after goAway failed:', error);
+            });
+            return;
+        }
         
         // Handle tool call responses
         if (response.toolCall) {
@@ -177,11 +415,22 @@ export class GeminiWebsocketClient {
         // Process server content (text/audio/interruptions)
         if (response.serverContent) {
             const { serverContent } = response;
+            // Built-in transcriptions, enabled with inputAudioTranscription/outputAudioTranscription in the setup
+            if (serverContent.inputTranscription?.text) {
+                this.emit('input_transcription', serverContent.inputTranscription.text);
+            }
+            if (serverContent.outputTranscription?.text) {
+                this.emit('output_transcription', serverContent.outputTranscription.text);
+            }
             if (serverContent.interrupted) {
                 console.debug(`${this.name} is interrupted`);
                 this.emit('interrupted');
                 return;
             }
+            if (serverContent.groundingMetadata) {
+                console.debug(`${this.name} sent grounding metadata`, serverContent.groundingMetadata);
+                this.emit('grounding', serverContent.groundingMetadata);
+            }
             if (serverContent.turnComplete) {
                 console.debug(`${this.name} has completed its turn`);
                 this.emit('turn_complete');
@@ -214,17 +463,25 @@ export class GeminiWebsocketClient {
                     console.debug(`${this.name} sent:`, otherParts);
                 }
             }
-        } else {
+        } else if (!response.usageMetadata) {
             console.debug(`${this.name} received unmatched message:`, response);
         }
     }
 
     /**
-     * Safely sends JSON data to the server if the connection is open
+     * Safely sends JSON data to the server if the session is ready.
+     * While a connection or its setup is still pending, the data is queued and sent after setupComplete.
      * @param {Object} data - The data to send
      * @returns {boolean} - Whether the send was successful
      */
     safelySendJSON(data) {
+        if (!this.isReady() && this.isActive()) {
+            this.pendingMessages.push(data);
+            if (this.pendingMessages.length > this.maxPendingMessages) {
+                this.pendingMessages.shift(); // Drop the oldest, e.g. stale audio chunks
+            }
+            return false;
+        }
         if (this.isConnected()) {
             try {
                 this.ws.send(JSON.stringify(data));
@@ -292,37 +549,72 @@ export class GeminiWebsocketClient {
     }
 
     /**
-     * Sends the result of the tool call to Gemini.
-     * @param {Object} toolResponse - The response object
-     * @param {any} toolResponse.output - The output of the tool execution (string, number, object, etc.)
-     * @param {string} toolResponse.id - The identifier of the tool call from toolCall.functionCalls[0].id
-     * @param {string} toolResponse.error - Send the output as null and the error message if the tool call failed (optional)
+     * Sends earlier turns of the conversation without asking the model to respond,
+     * used to restore the context in a new session.
+     * 
+     * @param {Array<Object>} turns - Turns with role and parts, in the format of clientContent.turns
      */
-    async sendToolResponse(toolResponse) {
-        if (!toolResponse || !toolResponse.id) {
-            throw new Error('Tool response must include an id');
+    async sendContext(turns) {
+        const success = this.safelySendJSON({ clientContent: { turns, turnComplete: false } });
+        if (success) {
+            console.debug(`${turns.length} turn(s) of context sent to ${this.name}.`);
         }
+    }
 
-        const { output, id, error } = toolResponse;
-        let result = [];
-
-        if (error) {
-            result = [{
-                response: { error: error },
-                id
-            }];
-        } else if (output === undefined) {
-            throw new Error('Tool response must include an output when no error is provided');
-        } else {
-            result = [{
-                response: { output: output },
-                id
-            }];
+    /**
+     * Sends media such as images as inline data parts of a user turn without ending the turn.
+     * 
+     * @param {Array<{mimeType: string, data: string}>} inlineData - Base64 encoded media
+     */
+    async sendInlineData(inlineData) {
+        const content = {
+            clientContent: {
+                turns: [{
+                    role: 'user',
+                    parts: inlineData.map(({ mimeType, data }) => ({ inlineData: { mimeType, data } }))
+                }],
+                turnComplete: false
+            }
+        };
+        const success = this.safelySendJSON(content);
+        if (success) {
+            console.debug(`${inlineData.length} inline data part(s) sent to ${this.name}.`);
         }
+    }
+
+    /**
+     * Sends the results of one or more tool calls to Gemini in a single message.
+     * @param {Object|Array<Object>} toolResponses - A response object or an array of them
+     * @param {any} toolResponses.output - The output of the tool execution (string, number, object, etc.)
+     * @param {string} toolResponses.id - The identifier of the function call from toolCall.functionCalls
+     * @param {Object} toolResponses.error - Send the output as null and a { code, message, retryable } error if the tool call failed (optional)
+     */
+    async sendToolResponse(toolResponses) {
+        const responses = Array.isArray(toolResponses) ? toolResponses : [toolResponses];
+        if (!responses.length) return;
+
+        // A malformed entry only fails its own call, the other responses of the batch are still sent
+        const functionResponses = responses.flatMap((toolResponse) => {
+            if (!toolResponse || !toolResponse.id) {
+                console.error('Dropping tool response without an id:', toolResponse);
+                return [];
+            }
+
+            const { output, id, error } = toolResponse;
+            if (error) {
+                return [{ response: { error: error }, id }];
+            }
+            if (output === undefined) {
+                const missingOutput = new ToolError(ToolErrorCode.EXECUTION_FAILED, 'The tool returned no output');
+                return [{ response: { error: missingOutput.toJSON() }, id }];
+            }
+            return [{ response: { output: output }, id }];
+        });
+        if (!functionResponses.length) return;
 
-        const success = this.safelySendJSON({ toolResponse: {functionResponses: result} });
+        const success = this.safelySendJSON({ toolResponse: { functionResponses } });
         if (success) {
-            console.debug(`Tool response sent to ${this.name}:`, toolResponse);
+            console.debug(`Tool response sent to ${this.name}:`, responses);
         }
     }
 
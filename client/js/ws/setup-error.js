@@ -0,0 +1,17 @@
+/**
+ * Error raised when the Gemini Live API does not accept the session setup,
+ * e.g. because the model does not exist or the config is invalid.
+ * The server reports the reason in the close frame of the websocket.
+ */
+export class SetupError extends Error {
+    /**
+     * @param {string} reason - Reason given by the server, or a description of the failure
+     * @param {number} [closeCode] - Websocket close code (1007 invalid config, 1008 policy violation)
+     */
+    constructor(reason, closeCode = null) {
+        super(`Session setup rejected: ${reason}`);
+        this.name = 'SetupError';
+        this.reason = reason;
+        this.closeCode = closeCode;
+    }
+}
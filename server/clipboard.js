@@ -0,0 +1,60 @@
+const { ipcMain, clipboard } = require('electron')
+
+/**
+ * Clipboard access for the built-in clipboard tools.
+ * Images are scaled down and converted to JPEG before they are handed to the renderer.
+ */
+
+const MAX_IMAGE_WIDTH = 1920
+const JPEG_QUALITY = 80
+
+/**
+ * Reads the clipboard in the requested format
+ * @param {string} format - 'text', 'html', 'image' or 'auto' for whatever is available
+ * @returns {Object} Available formats and the content that was read
+ */
+function readClipboard (format = 'auto') {
+    const result = { formats: clipboard.availableFormats() }
+
+    if (format === 'text' || format === 'auto') {
+        result.text = clipboard.readText()
+    }
+    if (format === 'html' || (format === 'auto' && result.formats.includes('text/html'))) {
+        result.html = clipboard.readHTML()
+    }
+    if (format === 'image' || format === 'auto') {
+        let image = clipboard.readImage()
+        if (!image.isEmpty()) {
+            if (image.getSize().width > MAX_IMAGE_WIDTH) {
+                image = image.resize({ width: MAX_IMAGE_WIDTH })
+            }
+            result.image = {
+                mimeType: 'image/jpeg',
+                data: image.toJPEG(JPEG_QUALITY).toString('base64'),
+                ...image.getSize()
+            }
+        }
+    }
+    return result
+}
+
+/**
+ * Replaces the clipboard content
+ * @param {Object} content
+ * @param {string} [content.text] - Plain text
+ * @param {string} [content.html] - HTML markup, the text is used as the plain text fallback
+ */
+function writeClipboard ({ text, html }) {
+    if (!text && !html) {
+        throw new Error('Nothing to write, text or html is required')
+    }
+    clipboard.write({ text: text || '', html: html || undefined })
+    return { written: true }
+}
+
+function registerClipboardHandlers () {
+    ipcMain.handle('CLIPBOARD_READ', async (event, format) => readClipboard(format))
+    ipcMain.handle('CLIPBOARD_WRITE', async (event, content) => writeClipboard(content || {}))
+}
+
+module.exports = { registerClipboardHandlers }
@@ -0,0 +1,203 @@
+const { app, ipcMain, dialog, BrowserWindow } = require('electron')
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * File system access for the built-in file tools.
+ * Every path is resolved (following symlinks) and must be inside one of the
+ * folders the user granted in the settings. Reads are size limited and binary files are refused.
+ */
+
+const MAX_READ_BYTES = 512 * 1024
+const MAX_WRITE_BYTES = 1024 * 1024
+const MAX_LIST_ENTRIES = 500
+const MAX_SEARCH_RESULTS = 100
+const MAX_SEARCH_FILES = 5000
+const SKIPPED_DIRECTORIES = ['.git', 'node_modules']
+
+const getAllowedFoldersPath = () => path.join(app.getPath('userData'), 'allowed-folders.json')
+
+function getAllowedFolders () {
+    try {
+        return JSON.parse(fs.readFileSync(getAllowedFoldersPath(), 'utf8'))
+    } catch (error) {
+        return []
+    }
+}
+
+function saveAllowedFolders (folders) {
+    fs.writeFileSync(getAllowedFoldersPath(), JSON.stringify(folders, null, 4))
+}
+
+/**
+ * Checks whether a resolved path is one of the allowed folders or inside one
+ * @param {string} realPath - Absolute path with symlinks resolved
+ * @returns {boolean}
+ */
+function isAllowed (realPath) {
+    return getAllowedFolders().some((folder) => {
+        const relative = path.relative(folder, realPath)
+        const isOutside = relative === '..' || relative.startsWith('..' + path.sep)
+        return relative === '' || (!isOutside && !path.isAbsolute(relative))
+    })
+}
+
+/**
+ * Resolves a path from the model against the allowed folders.
+ * Relative paths are resolved against the first allowed folder.
+ * @param {string} requestedPath - Path sent by the model
+ * @param {boolean} [mustExist=true] - False for files that are about to be created
+ * @returns {string} Absolute path with symlinks resolved
+ */
+function resolveAllowedPath (requestedPath, mustExist = true) {
+    const folders = getAllowedFolders()
+    if (!folders.length) {
+        throw new Error('No folders have been granted. Ask the user to add a folder in Settings → Tools.')
+    }
+
+    const absolutePath = path.resolve(folders[0], requestedPath || '.')
+    let realPath
+    if (fs.existsSync(absolutePath)) {
+        realPath = fs.realpathSync(absolutePath)
+    } else if (mustExist) {
+        throw new Error(`${requestedPath} does not exist`)
+    } else {
+        // The file does not exist yet, check the closest existing parent instead
+        let parent = path.dirname(absolutePath)
+        while (!fs.existsSync(parent)) parent = path.dirname(parent)
+        realPath = path.join(fs.realpathSync(parent), path.relative(parent, absolutePath))
+    }
+
+    if (!isAllowed(realPath)) {
+        throw new Error(`Access to ${requestedPath} is not allowed, it is outside the granted folders`)
+    }
+    return realPath
+}
+
+/**
+ * Detects binary content by looking for null bytes, like git does
+ * @param {Buffer} buffer - Start of the file
+ * @returns {boolean}
+ */
+function isBinary (buffer) {
+    return buffer.subarray(0, 8000).includes(0)
+}
+
+function listDirectory (requestedPath) {
+    // Without a path, show the granted folders themselves
+    if (!requestedPath) {
+        return { path: null, entries: getAllowedFolders().map((folder) => ({ name: folder, type: 'directory' })) }
+    }
+
+    const directory = resolveAllowedPath(requestedPath)
+    const dirents = fs.readdirSync(directory, { withFileTypes: true })
+    const entries = dirents.slice(0, MAX_LIST_ENTRIES).map((dirent) => {
+        const type = dirent.isDirectory() ? 'directory' : dirent.isSymbolicLink() ? 'symlink' : 'file'
+        const entry = { name: dirent.name, type }
+        if (dirent.isFile()) {
+            entry.size = fs.statSync(path.join(directory, dirent.name)).size
+        }
+        return entry
+    })
+    return { path: directory, entries, truncated: dirents.length > MAX_LIST_ENTRIES }
+}
+
+function readFile (requestedPath) {
+    const file = resolveAllowedPath(requestedPath)
+    const { size } = fs.statSync(file)
+
+    const length = Math.min(size, MAX_READ_BYTES)
+    const buffer = Buffer.alloc(length)
+    const fd = fs.openSync(file, 'r')
+    try {
+        fs.readSync(fd, buffer, 0, length, 0)
+    } finally {
+        fs.closeSync(fd)
+    }
+
+    if (isBinary(buffer)) {
+        throw new Error(`${requestedPath} is a binary file and cannot be read as text`)
+    }
+    return { path: file, size, content: buffer.toString('utf8'), truncated: size > MAX_READ_BYTES }
+}
+
+function searchText (requestedPath, query) {
+    if (!query) {
+        throw new Error('A search query is required')
+    }
+
+    const needle = query.toLowerCase()
+    const results = []
+    const directories = [resolveAllowedPath(requestedPath)]
+    let scannedFiles = 0
+
+    while (directories.length && results.length < MAX_SEARCH_RESULTS && scannedFiles < MAX_SEARCH_FILES) {
+        const directory = directories.shift()
+        for (const dirent of fs.readdirSync(directory, { withFileTypes: true })) {
+            const fullPath = path.join(directory, dirent.name)
+            if (dirent.isDirectory()) {
+                if (!SKIPPED_DIRECTORIES.includes(dirent.name)) directories.push(fullPath)
+                continue
+            }
+            if (!dirent.isFile() || fs.statSync(fullPath).size > MAX_READ_BYTES) continue
+
+            scannedFiles++
+            const buffer = fs.readFileSync(fullPath)
+            if (isBinary(buffer)) continue
+
+            const lines = buffer.toString('utf8').split('\n')
+            for (let i = 0; i < lines.length && results.length < MAX_SEARCH_RESULTS; i++) {
+                if (lines[i].toLowerCase().includes(needle)) {
+                    results.push({ path: fullPath, line: i + 1, text: lines[i].trim().slice(0, 300) })
+                }
+            }
+        }
+    }
+
+    return { query, results, truncated: results.length >= MAX_SEARCH_RESULTS || scannedFiles >= MAX_SEARCH_FILES }
+}
+
+function writeFile (requestedPath, content) {
+    if (Buffer.byteLength(content, 'utf8') > MAX_WRITE_BYTES) {
+        throw new Error(`Content exceeds the write limit of ${MAX_WRITE_BYTES / 1024} KB`)
+    }
+    const file = resolveAllowedPath(requestedPath, false)
+    fs.mkdirSync(path.dirname(file), { recursive: true })
+    fs.writeFileSync(file, content, 'utf8')
+    return { path: file, bytesWritten: Buffer.byteLength(content, 'utf8') }
+}
+
+function registerFileSystemHandlers () {
+    ipcMain.handle('FS_LIST_DIRECTORY', async (event, requestedPath) => listDirectory(requestedPath))
+    ipcMain.handle('FS_READ_FILE', async (event, requestedPath) => readFile(requestedPath))
+    ipcMain.handle('FS_SEARCH_TEXT', async (event, requestedPath, query) => searchText(requestedPath, query))
+    ipcMain.handle('FS_WRITE_FILE', async (event, requestedPath, content) => writeFile(requestedPath, content))
+
+    // Managing the granted folders, only through the user's own folder picker
+    ipcMain.handle('FS_GET_ALLOWED_FOLDERS', async () => getAllowedFolders())
+
+    ipcMain.handle('FS_ADD_ALLOWED_FOLDER', async (event) => {
+        const window = BrowserWindow.fromWebContents(event.sender)
+        const { canceled, filePaths } = await dialog.showOpenDialog(window, {
+            title: 'Grant Gemini access to a folder',
+            properties: ['openDirectory']
+        })
+        if (canceled || !filePaths.length) return getAllowedFolders()
+
+        const folders = getAllowedFolders()
+        const folder = fs.realpathSync(filePaths[0])
+        if (!folders.includes(folder)) {
+            folders.push(folder)
+            saveAllowedFolders(folders)
+        }
+        return folders
+    })
+
+    ipcMain.handle('FS_REMOVE_ALLOWED_FOLDER', async (event, folder) => {
+        const folders = getAllowedFolders().filter((allowedFolder) => allowedFolder !== folder)
+        saveAllowedFolders(folders)
+        return folders
+    })
+}
+
+module.exports = { registerFileSystemHandlers, resolveAllowedPath }
@@ -1,5 +1,13 @@
-const { app, BrowserWindow, ipcMain, desktopCapturer } = require('electron')
+const { app, BrowserWindow, ipcMain, desktopCapturer, shell } = require('electron')
 const path = require('path')
+const { registerPluginHandlers } = require('./plugins')
+const { registerMcpHandlers } = require('./mcp')
+const { registerFileSystemHandlers } = require('./file-system')
+const { registerClipboardHandlers } = require('./clipboard')
+const { registerNotesHandlers } = require('./notes')
+const { registerShellCommandHandlers } = require('./shell-command')
+const { registerScreenCaptureHandlers } = require('./screen-capture')
+const { registerWhisperHandlers } = require('./whisper')
 
 function createWindow () {
     // Create the browser window
@@ -13,6 +21,14 @@ function createWindow () {
         }
     })
 
+    // Open links (e.g. search sources in the chat) in the default browser instead of the app
+    mainWindow.webContents.setWindowOpenHandler(({ url }) => {
+        if (url.startsWith('https://') || url.startsWith('http://')) {
+            shell.openExternal(url)
+        }
+        return { action: 'deny' }
+    })
+
     // Load the index.html file from the client folder
     mainWindow.loadFile(path.join(__dirname, '../client/index.html'))
 }
@@ -47,4 +63,28 @@ ipcMain.handle('GET_SOURCES', async (event) => {
         console.error('Error getting sources:', error);
         throw error;
     }
-}) 
\ No newline at end of file
+})
+
+// Handle plugin tool requests
+registerPluginHandlers()
+
+// Handle MCP server requests
+registerMcpHandlers()
+
+// Handle file tool requests
+registerFileSystemHandlers()
+
+// Handle clipboard tool requests
+registerClipboardHandlers()
+
+// Handle notes and reminders tool requests
+registerNotesHandlers()
+
+// Handle shell command tool requests
+registerShellCommandHandlers()
+
+// Handle screenshot tool requests
+registerScreenCaptureHandlers()
+
+// Handle local speech-to-text requests
+registerWhisperHandlers()
@@ -0,0 +1,288 @@
+const { app, ipcMain, shell, BrowserWindow } = require('electron')
+const { spawn } = require('child_process')
+const readline = require('readline')
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * Model Context Protocol client for local stdio servers.
+ * Servers are configured in mcp-servers.json in the user data directory:
+ *   { "mcpServers": { "files": { "command": "npx", "args": ["-y", "some-mcp-server"], "env": {}, "cwd": "" } } }
+ * Each server is spawned once, its tools are listed over JSON-RPC and exposed to the renderer,
+ * and a crashed server is restarted with exponential backoff.
+ */
+
+const PROTOCOL_VERSION = '2024-11-05'
+const REQUEST_TIMEOUT = 60000
+
+const getConfigPath = () => path.join(app.getPath('userData'), 'mcp-servers.json')
+
+class McpServerConnection {
+    /**
+     * @param {string} name - Name of the server from the config file
+     * @param {Object} config - Command, args, env and cwd used to spawn the server
+     * @param {Function} onToolsChanged - Called when the server's tool list changes
+     */
+    constructor (name, config, onToolsChanged) {
+        this.name = name
+        this.config = config
+        this.onToolsChanged = onToolsChanged
+        this.process = null
+        this.tools = []
+        this.nextId = 1
+        this.pending = new Map() // request id -> { resolve, reject, timer }
+        this.stopping = false
+        this.reconnectAttempts = 0
+        this.maxReconnectAttempts = 5
+        this.reconnectDelay = 1000
+        this.ready = null
+    }
+
+    /**
+     * Spawns the server and performs the initialize handshake
+     * @returns {Promise<void>} Resolves once the server's tools are listed
+     */
+    start () {
+        this.ready = this.spawnAndInitialize()
+        // Avoid unhandled rejections, callers observe failures through this.ready
+        this.ready.catch((error) => console.error(`MCP server ${this.name} failed to start:`, error.message))
+        return this.ready
+    }
+
+    async spawnAndInitialize () {
+        const { command, args = [], env = {}, cwd } = this.config
+        console.info(`Starting MCP server ${this.name}: ${command} ${args.join(' ')}`)
+
+        const child = spawn(command, args, {
+            cwd: cwd || undefined,
+            env: { ...process.env, ...env },
+            stdio: ['pipe', 'pipe', 'pipe'],
+            shell: process.platform === 'win32' // Needed for npx and .cmd launchers on Windows
+        })
+        this.process = child
+
+        const exited = new Promise((resolve, reject) => {
+            child.once('error', reject)
+            child.once('exit', (code, signal) => reject(new Error(`MCP server ${this.name} exited (code ${code}, signal ${signal})`)))
+        })
+        child.on('error', (error) => {
+            console.error(`MCP server ${this.name} error:`, error.message)
+            // The process could not be spawned at all, e.g. the command does not exist
+            if (this.process === child && !child.pid) this.process = null
+        })
+        child.on('exit', (code, signal) => this.handleExit(child, code, signal))
+        child.stderr.on('data', (data) => console.debug(`[mcp:${this.name}] ${data.toString().trim()}`))
+        readline.createInterface({ input: child.stdout }).on('line', (line) => this.handleLine(line))
+
+        // Fail fast if the process dies during the handshake
+        await Promise.race([this.initialize(), exited])
+        this.reconnectAttempts = 0
+    }
+
+    async initialize () {
+        await this.request('initialize', {
+            protocolVersion: PROTOCOL_VERSION,
+            capabilities: {},
+            clientInfo: { name: app.getName(), version: app.getVersion() }
+        })
+        this.notify('notifications/initialized')
+        await this.refreshTools()
+    }
+
+    async refreshTools () {
+        const tools = []
+        let cursor
+        do {
+            const result = await this.request('tools/list', cursor ? { cursor } : {})
+            tools.push(...(result.tools || []))
+            cursor = result.nextCursor
+        } while (cursor)
+
+        this.tools = tools
+        console.info(`MCP server ${this.name} provides ${tools.length} tool(s)`)
+    }
+
+    /**
+     * Calls a tool on the server, waiting for a pending (re)start to finish first
+     * @param {string} toolName - Name of the tool on the server
+     * @param {Object} args - Tool arguments
+     * @returns {Promise<Object>} MCP tool result with content and isError
+     */
+    async callTool (toolName, args) {
+        await this.ready
+        return await this.request('tools/call', { name: toolName, arguments: args || {} })
+    }
+
+    request (method, params) {
+        if (!this.process || !this.process.stdin.writable) {
+            return Promise.reject(new Error(`MCP server ${this.name} is not running`))
+        }
+
+        const id = this.nextId++
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id)
+                reject(new Error(`MCP server ${this.name} did not answer ${method} within ${REQUEST_TIMEOUT / 1000} seconds`))
+            }, REQUEST_TIMEOUT)
+            this.pending.set(id, { resolve, reject, timer })
+            this.send({ jsonrpc: '2.0', id, method, params })
+        })
+    }
+
+    notify (method, params) {
+        this.send({ jsonrpc: '2.0', method, ...(params ? { params } : {}) })
+    }
+
+    send (message) {
+        this.process.stdin.write(JSON.stringify(message) + '\n')
+    }
+
+    handleLine (line) {
+        if (!line.trim()) return
+
+        let message
+        try {
+            message = JSON.parse(line)
+        } catch (error) {
+            console.warn(`MCP server ${this.name} wrote a non JSON-RPC line:`, line)
+            return
+        }
+
+        // Response to one of our requests
+        if (message.id !== undefined && !message.method) {
+            const pending = this.pending.get(message.id)
+            if (!pending) return
+            clearTimeout(pending.timer)
+            this.pending.delete(message.id)
+            if (message.error) {
+                pending.reject(new Error(message.error.message || `MCP error ${message.error.code}`))
+            } else {
+                pending.resolve(message.result || {})
+            }
+            return
+        }
+
+        // Request from the server, only ping is supported
+        if (message.id !== undefined) {
+            if (message.method === 'ping') {
+                this.send({ jsonrpc: '2.0', id: message.id, result: {} })
+            } else {
+                this.send({ jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method ${message.method} not supported` } })
+            }
+            return
+        }
+
+        if (message.method === 'notifications/tools/list_changed') {
+            this.refreshTools()
+                .then(() => this.onToolsChanged(this))
+                .catch((error) => console.error(`Failed to refresh tools of MCP server ${this.name}:`, error.message))
+        }
+    }
+
+    handleExit (child, code, signal) {
+        if (this.process !== child) return
+        this.process = null
+
+        // Pending requests will never be answered by this process
+        this.pending.forEach(({ reject, timer }) => {
+            clearTimeout(timer)
+            reject(new Error(`MCP server ${this.name} exited (code ${code}, signal ${signal})`))
+        })
+        this.pending.clear()
+
+        if (this.stopping) return
+
+        if (this.reconnectAttempts < this.maxReconnectAttempts) {
+            this.reconnectAttempts++
+            const delay = this.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1) // Exponential backoff
+            console.warn(`MCP server ${this.name} crashed, restarting in ${delay / 1000} seconds... (Attempt ${this.reconnectAttempts} of ${this.maxReconnectAttempts})`)
+
+            // Calls made while waiting for the restart wait for it instead of failing
+            let resolveRestart, rejectRestart
+            this.ready = new Promise((resolve, reject) => { resolveRestart = resolve; rejectRestart = reject })
+            this.ready.catch(() => {})
+            setTimeout(() => {
+                if (this.stopping) return rejectRestart(new Error(`MCP server ${this.name} was stopped`))
+                this.start()
+                    .then(() => this.onToolsChanged(this))
+                    .then(resolveRestart, rejectRestart)
+            }, delay)
+        } else {
+            console.error(`MCP server ${this.name} crashed too often, giving up`)
+            this.ready = Promise.reject(new Error(`MCP server ${this.name} is not running`))
+            this.ready.catch(() => {})
+        }
+    }
+
+    stop () {
+        this.stopping = true
+        if (this.process) {
+            this.process.kill()
+            this.process = null
+        }
+    }
+}
+
+const servers = new Map()
+let startPromise = null
+
+/**
+ * Reads the config file and starts every configured server once
+ * @returns {Promise<void>} Resolves when all servers started or failed
+ */
+function startServers () {
+    if (startPromise) return startPromise
+
+    let config = { mcpServers: {} }
+    try {
+        if (fs.existsSync(getConfigPath())) {
+            config = JSON.parse(fs.readFileSync(getConfigPath(), 'utf8'))
+        }
+    } catch (error) {
+        console.error(`Failed to read ${getConfigPath()}:`, error.message)
+    }
+
+    const notifyRenderers = (server) => {
+        BrowserWindow.getAllWindows().forEach((window) => window.webContents.send('MCP_TOOLS_CHANGED', server.name))
+    }
+
+    Object.entries(config.mcpServers || {}).forEach(([name, serverConfig]) => {
+        if (serverConfig.disabled || !serverConfig.command) return
+        servers.set(name, new McpServerConnection(name, serverConfig, notifyRenderers))
+    })
+
+    startPromise = Promise.allSettled([...servers.values()].map((server) => server.start())).then(() => {})
+    return startPromise
+}
+
+function registerMcpHandlers () {
+    // List the tools of every running server
+    ipcMain.handle('LIST_MCP_TOOLS', async () => {
+        await startServers()
+        return [...servers.values()]
+            .filter((server) => server.process)
+            .map((server) => ({ server: server.name, tools: server.tools }))
+    })
+
+    ipcMain.handle('CALL_MCP_TOOL', async (event, serverName, toolName, args) => {
+        const server = servers.get(serverName)
+        if (!server) {
+            throw new Error(`MCP server ${serverName} is not configured`)
+        }
+        return await server.callTool(toolName, args)
+    })
+
+    ipcMain.handle('OPEN_MCP_CONFIG', async () => {
+        const configPath = getConfigPath()
+        if (!fs.existsSync(configPath)) {
+            fs.mkdirSync(path.dirname(configPath), { recursive: true })
+            fs.writeFileSync(configPath, JSON.stringify({ mcpServers: {} }, null, 4))
+        }
+        return await shell.openPath(configPath)
+    })
+
+    // Do not leave server processes behind
+    app.on('will-quit', () => servers.forEach((server) => server.stop()))
+}
+
+module.exports = { registerMcpHandlers }
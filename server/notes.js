@@ -0,0 +1,158 @@
+const { app, ipcMain, Notification } = require('electron')
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * Persistent notes and reminders for the built-in notes tools.
+ * Everything is stored in notes.json in the user data directory,
+ * reminders are scheduled in the main process and fire as native notifications.
+ */
+
+const MAX_TIMEOUT = 2147483647 // Largest delay setTimeout supports (~24.8 days)
+
+const timers = new Map() // reminder id -> timeout
+
+const getStorePath = () => path.join(app.getPath('userData'), 'notes.json')
+
+function loadStore () {
+    try {
+        const store = JSON.parse(fs.readFileSync(getStorePath(), 'utf8'))
+        return { notes: store.notes || [], reminders: store.reminders || [] }
+    } catch (error) {
+        return { notes: [], reminders: [] }
+    }
+}
+
+function saveStore (store) {
+    fs.writeFileSync(getStorePath(), JSON.stringify(store, null, 4))
+}
+
+const createId = () => crypto.randomUUID().slice(0, 8)
+
+function addNote (text, tags = []) {
+    if (!text || !text.trim()) {
+        throw new Error('A note needs some text')
+    }
+    const store = loadStore()
+    const note = { id: createId(), text: text.trim(), tags, createdAt: new Date().toISOString() }
+    store.notes.push(note)
+    saveStore(store)
+    return note
+}
+
+/**
+ * Lists notes, optionally only those containing the query in their text or tags
+ * @param {string} [query] - Case-insensitive search text
+ */
+function listNotes (query) {
+    const { notes } = loadStore()
+    if (!query) return notes
+
+    const needle = query.toLowerCase()
+    return notes.filter((note) => note.text.toLowerCase().includes(needle) ||
+        note.tags.some((tag) => tag.toLowerCase().includes(needle)))
+}
+
+function deleteNote (id) {
+    const store = loadStore()
+    const note = store.notes.find((storedNote) => storedNote.id === id)
+    if (!note) {
+        throw new Error(`No note with id ${id}`)
+    }
+    store.notes = store.notes.filter((storedNote) => storedNote !== note)
+    saveStore(store)
+    return { deleted: note }
+}
+
+function fireReminder (id) {
+    timers.delete(id)
+    const store = loadStore()
+    const reminder = store.reminders.find((storedReminder) => storedReminder.id === id)
+    if (!reminder) return
+
+    if (Notification.isSupported()) {
+        new Notification({ title: 'Reminder', body: reminder.text }).show()
+    }
+    console.info(`Reminder fired: ${reminder.text}`)
+
+    store.reminders = store.reminders.filter((storedReminder) => storedReminder !== reminder)
+    saveStore(store)
+}
+
+function scheduleReminder (reminder) {
+    const delay = new Date(reminder.dueAt).getTime() - Date.now()
+    // Delays beyond the setTimeout limit are re-scheduled when the first timeout expires
+    const timer = setTimeout(() => {
+        if (delay > MAX_TIMEOUT) {
+            scheduleReminder(reminder)
+        } else {
+            fireReminder(reminder.id)
+        }
+    }, Math.max(0, Math.min(delay, MAX_TIMEOUT)))
+    timers.set(reminder.id, timer)
+}
+
+/**
+ * Creates a reminder
+ * @param {string} text - What to remind the user of
+ * @param {Object} when - Either inMinutes from now or an ISO 8601 date time
+ */
+function addReminder (text, { inMinutes, at }) {
+    if (!text || !text.trim()) {
+        throw new Error('A reminder needs some text')
+    }
+
+    let dueAt
+    if (inMinutes !== undefined && inMinutes !== null) {
+        dueAt = new Date(Date.now() + inMinutes * 60000)
+    } else if (at) {
+        dueAt = new Date(at)
+    } else {
+        throw new Error('Either inMinutes or at is required')
+    }
+    if (isNaN(dueAt.getTime())) {
+        throw new Error(`${at} is not a valid date`)
+    }
+    if (dueAt.getTime() < Date.now()) {
+        throw new Error(`${dueAt.toLocaleString()} is in the past`)
+    }
+
+    const store = loadStore()
+    const reminder = { id: createId(), text: text.trim(), dueAt: dueAt.toISOString(), createdAt: new Date().toISOString() }
+    store.reminders.push(reminder)
+    saveStore(store)
+    scheduleReminder(reminder)
+    return { ...reminder, dueAtLocal: dueAt.toLocaleString() }
+}
+
+function listReminders () {
+    return loadStore().reminders.map((reminder) => ({ ...reminder, dueAtLocal: new Date(reminder.dueAt).toLocaleString() }))
+}
+
+function deleteReminder (id) {
+    const store = loadStore()
+    const reminder = store.reminders.find((storedReminder) => storedReminder.id === id)
+    if (!reminder) {
+        throw new Error(`No reminder with id ${id}`)
+    }
+    clearTimeout(timers.get(id))
+    timers.delete(id)
+    store.reminders = store.reminders.filter((storedReminder) => storedReminder !== reminder)
+    saveStore(store)
+    return { deleted: reminder }
+}
+
+function registerNotesHandlers () {
+    ipcMain.handle('NOTES_ADD', async (event, text, tags) => addNote(text, tags))
+    ipcMain.handle('NOTES_LIST', async (event, query) => listNotes(query))
+    ipcMain.handle('NOTES_DELETE', async (event, id) => deleteNote(id))
+    ipcMain.handle('REMINDERS_ADD', async (event, text, when) => addReminder(text, when || {}))
+    ipcMain.handle('REMINDERS_LIST', async () => listReminders())
+    ipcMain.handle('REMINDERS_DELETE', async (event, id) => deleteReminder(id))
+
+    // Reschedule stored reminders, overdue ones fire right away
+    app.whenReady().then(() => loadStore().reminders.forEach(scheduleReminder))
+}
+
+module.exports = { registerNotesHandlers }
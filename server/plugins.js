@@ -0,0 +1,83 @@
+const { app, ipcMain, shell } = require('electron')
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * Loads user-defined tools from the plugins folder in the user data directory.
+ * Each plugin is a CommonJS module (a .js file or a folder with an index.js) exporting:
+ *   declaration - Gemini function declaration ({ name, description, parameters })
+ *   execute(args) - Sync or async function returning a JSON-serializable result
+ *   timeout - Optional execution timeout in milliseconds
+ *   permission - Optional permission policy ('allow', 'ask', 'ask-once' or 'deny')
+ * Plugins run in the main process, the renderer calls them over IPC.
+ */
+
+const plugins = new Map()
+
+const getPluginsDir = () => path.join(app.getPath('userData'), 'tools')
+
+/**
+ * (Re)loads every plugin module from the plugins folder
+ */
+function loadPlugins () {
+    const pluginsDir = getPluginsDir()
+    fs.mkdirSync(pluginsDir, { recursive: true })
+    plugins.clear()
+
+    for (const entry of fs.readdirSync(pluginsDir, { withFileTypes: true })) {
+        const isModuleFile = entry.isFile() && /\.c?js$/.test(entry.name)
+        const isModuleDir = entry.isDirectory() && fs.existsSync(path.join(pluginsDir, entry.name, 'index.js'))
+        if (!isModuleFile && !isModuleDir) continue
+
+        const file = path.join(pluginsDir, entry.name)
+        try {
+            // Drop the cached module so edits are picked up on reload
+            delete require.cache[require.resolve(file)]
+            const plugin = require(file)
+
+            const name = plugin.declaration && plugin.declaration.name
+            if (!name || typeof plugin.execute !== 'function') {
+                console.warn(`Skipping plugin ${file}: it must export a declaration with a name and an execute function`)
+                continue
+            }
+            if (plugins.has(name)) {
+                console.warn(`Skipping plugin ${file}: a tool named ${name} is already loaded`)
+                continue
+            }
+            plugins.set(name, { file, plugin })
+        } catch (error) {
+            console.error(`Failed to load plugin ${file}:`, error)
+        }
+    }
+    console.info(`Loaded ${plugins.size} plugin tool(s) from ${pluginsDir}`)
+}
+
+function registerPluginHandlers () {
+    // List plugin tools, reloading the folder so new plugins appear without a restart
+    ipcMain.handle('LIST_PLUGIN_TOOLS', async () => {
+        loadPlugins()
+        return [...plugins.entries()].map(([name, { file, plugin }]) => ({
+            name,
+            file,
+            declaration: plugin.declaration,
+            timeout: plugin.timeout,
+            permission: plugin.permission
+        }))
+    })
+
+    ipcMain.handle('EXECUTE_PLUGIN_TOOL', async (event, name, args) => {
+        const entry = plugins.get(name)
+        if (!entry) {
+            throw new Error(`Plugin tool ${name} is not loaded`)
+        }
+        return await entry.plugin.execute(args || {})
+    })
+
+    ipcMain.handle('OPEN_PLUGINS_FOLDER', async () => {
+        const pluginsDir = getPluginsDir()
+        fs.mkdirSync(pluginsDir, { recursive: true })
+        return await shell.openPath(pluginsDir)
+    })
+}
+
+module.exports = { registerPluginHandlers }
@@ -1,5 +1,15 @@
 const { contextBridge, ipcRenderer } = require('electron')
 
+// ipcRenderer.invoke prefixes errors thrown in the main process,
+// keep only the original message so it can be shown to the user or the model
+const invoke = async (channel, ...args) => {
+    try {
+        return await ipcRenderer.invoke(channel, ...args)
+    } catch (error) {
+        throw new Error(error.message.replace(/^Error invoking remote method '[^']+': (Error: )?/, ''))
+    }
+}
+
 // Expose protected methods that allow the renderer process to use
 // the ipcRenderer without exposing the entire object
 contextBridge.exposeInMainWorld(
@@ -11,7 +21,57 @@ contextBridge.exposeInMainWorld(
             } catch (error) {
                 throw new Error(`Failed to get screen sources: ${error.message}`);
             }
-        }
+        },
+
+        // Plugin tools from the user data folder
+        listPluginTools: () => invoke('LIST_PLUGIN_TOOLS'),
+        executePluginTool: (name, args) => invoke('EXECUTE_PLUGIN_TOOL', name, args),
+        openPluginsFolder: () => invoke('OPEN_PLUGINS_FOLDER'),
+
+        // Tools of local MCP servers
+        listMcpTools: () => invoke('LIST_MCP_TOOLS'),
+        callMcpTool: (server, tool, args) => invoke('CALL_MCP_TOOL', server, tool, args),
+        openMcpConfig: () => invoke('OPEN_MCP_CONFIG'),
+        onMcpToolsChanged: (callback) => ipcRenderer.on('MCP_TOOLS_CHANGED', (event, server) => callback(server)),
+
+        // File access inside the granted folders
+        listDirectory: (path) => invoke('FS_LIST_DIRECTORY', path),
+        readFile: (path) => invoke('FS_READ_FILE', path),
+        searchText: (path, query) => invoke('FS_SEARCH_TEXT', path, query),
+        writeFile: (path, content) => invoke('FS_WRITE_FILE', path, content),
+        getAllowedFolders: () => invoke('FS_GET_ALLOWED_FOLDERS'),
+        addAllowedFolder: () => invoke('FS_ADD_ALLOWED_FOLDER'),
+        removeAllowedFolder: (folder) => invoke('FS_REMOVE_ALLOWED_FOLDER', folder),
+
+        // Clipboard access
+        readClipboard: (format) => invoke('CLIPBOARD_READ', format),
+        writeClipboard: (content) => invoke('CLIPBOARD_WRITE', content),
+
+        // Notes and reminders
+        addNote: (text, tags) => invoke('NOTES_ADD', text, tags),
+        listNotes: (query) => invoke('NOTES_LIST', query),
+        deleteNote: (id) => invoke('NOTES_DELETE', id),
+        addReminder: (text, when) => invoke('REMINDERS_ADD', text, when),
+        listReminders: () => invoke('REMINDERS_LIST'),
+        deleteReminder: (id) => invoke('REMINDERS_DELETE', id),
+
+        // Allow-listed shell commands
+        runCommand: (runId, command, cwd) => invoke('RUN_COMMAND', runId, command, cwd),
+        cancelCommand: (runId) => invoke('CANCEL_COMMAND', runId),
+        getCommandSettings: () => invoke('GET_COMMAND_SETTINGS'),
+        setCommandSettings: (settings) => invoke('SET_COMMAND_SETTINGS', settings),
+
+        // Single screenshots
+        captureScreen: (options) => invoke('CAPTURE_SCREEN', options),
+
+        // Offline speech-to-text with a local whisper.cpp binary
+        startWhisper: (sessionId, sampleRate) => invoke('WHISPER_START', sessionId, sampleRate),
+        sendWhisperAudio: (sessionId, audioData) => ipcRenderer.send('WHISPER_AUDIO', sessionId, audioData),
+        stopWhisper: (sessionId) => invoke('WHISPER_STOP', sessionId),
+        onWhisperTranscription: (callback) => ipcRenderer.on('WHISPER_TRANSCRIPTION', (event, sessionId, text) => callback(sessionId, text)),
+        onWhisperError: (callback) => ipcRenderer.on('WHISPER_ERROR', (event, sessionId, message) => callback(sessionId, message)),
+        getWhisperSettings: () => invoke('GET_WHISPER_SETTINGS'),
+        setWhisperSettings: (settings) => invoke('SET_WHISPER_SETTINGS', settings)
         // Add more methods from main.js here as needed
     }
-) 
\ No newline at end of file
+)
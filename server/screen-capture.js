@@ -0,0 +1,41 @@
+const { ipcMain, desktopCapturer, screen } = require('electron')
+
+/**
+ * Single high resolution screenshots for the captureScreen tool,
+ * taken with desktopCapturer so no screen share has to be running.
+ */
+
+/**
+ * Captures the primary display as a JPEG
+ * @param {Object} options
+ * @param {number} [options.maxWidth=1920] - Screenshots wider than this are scaled down
+ * @param {number} [options.quality=85] - JPEG quality (1-100)
+ * @returns {Promise<{mimeType: string, data: string, width: number, height: number}>}
+ */
+async function captureScreen ({ maxWidth = 1920, quality = 85 } = {}) {
+    const display = screen.getPrimaryDisplay()
+    const width = Math.round(display.size.width * display.scaleFactor)
+    const height = Math.round(display.size.height * display.scaleFactor)
+    const scale = Math.min(1, maxWidth / width)
+
+    const sources = await desktopCapturer.getSources({
+        types: ['screen'],
+        thumbnailSize: { width: Math.round(width * scale), height: Math.round(height * scale) }
+    })
+    const source = sources.find((candidate) => candidate.display_id === String(display.id)) || sources[0]
+    if (!source || source.thumbnail.isEmpty()) {
+        throw new Error('No screen could be captured')
+    }
+
+    return {
+        mimeType: 'image/jpeg',
+        data: source.thumbnail.toJPEG(quality).toString('base64'),
+        ...source.thumbnail.getSize()
+    }
+}
+
+function registerScreenCaptureHandlers () {
+    ipcMain.handle('CAPTURE_SCREEN', async (event, options) => captureScreen(options))
+}
+
+module.exports = { registerScreenCaptureHandlers }
@@ -0,0 +1,193 @@
+const { app, ipcMain } = require('electron')
+const { spawn } = require('child_process')
+const fs = require('fs')
+const path = require('path')
+const { resolveAllowedPath } = require('./file-system')
+
+/**
+ * Runs allow-listed shell commands for the runCommand tool.
+ * Commands are split into arguments and spawned without a shell, so operators
+ * like ; && | cannot chain commands that are not on the allow-list.
+ * The working directory must be inside the folders granted for the file tools.
+ */
+
+const DEFAULT_SETTINGS = {
+    allowedCommands: ['git status', 'git diff', 'git log', 'npm test', 'ls', 'dir'],
+    timeout: 30000,
+    maxOutput: 20000
+}
+// Characters cmd.exe interprets, rejected on Windows where a shell is needed to run .cmd files
+const WINDOWS_SHELL_CHARACTERS = /[&|<>^%!`$();]/
+
+const runningCommands = new Map() // run id -> child process
+
+const getSettingsPath = () => path.join(app.getPath('userData'), 'commands.json')
+
+function getSettings () {
+    try {
+        return { ...DEFAULT_SETTINGS, ...JSON.parse(fs.readFileSync(getSettingsPath(), 'utf8')) }
+    } catch (error) {
+        return { ...DEFAULT_SETTINGS }
+    }
+}
+
+function saveSettings (settings) {
+    const merged = { ...getSettings(), ...settings }
+    fs.writeFileSync(getSettingsPath(), JSON.stringify(merged, null, 4))
+    return merged
+}
+
+/**
+ * Splits a command line into arguments, honoring single and double quotes
+ * @param {string} command - Command line
+ * @returns {Array<string>}
+ */
+function tokenize (command) {
+    const tokens = []
+    let current = ''
+    let quote = null
+    let hasToken = false
+
+    for (const char of command.trim()) {
+        if (quote) {
+            if (char === quote) quote = null
+            else current += char
+        } else if (char === '"' || char === "'") {
+            quote = char
+            hasToken = true
+        } else if (/\s/.test(char)) {
+            if (hasToken || current) tokens.push(current)
+            current = ''
+            hasToken = false
+        } else {
+            current += char
+        }
+    }
+    if (quote) {
+        throw new Error('Unterminated quote in command')
+    }
+    if (hasToken || current) tokens.push(current)
+    return tokens
+}
+
+/**
+ * Checks the command against the allow-list. An entry only allows exactly its command,
+ * e.g. "git log" does not allow "git log --output=file". Entries ending in " *" allow
+ * any further arguments, e.g. "git diff *". Arguments can name files outside the granted
+ * folders, so wildcards should only be used for commands that cannot write files.
+ * @param {Array<string>} tokens - Arguments of the command
+ * @param {Array<string>} allowedCommands - Allow-list entries
+ * @returns {boolean}
+ */
+function isAllowedCommand (tokens, allowedCommands) {
+    return allowedCommands.some((entry) => {
+        const entryTokens = tokenize(entry)
+        const allowsArguments = entryTokens[entryTokens.length - 1] === '*'
+        if (allowsArguments) entryTokens.pop()
+        if (!entryTokens.length) return false
+        if (!allowsArguments && tokens.length !== entryTokens.length) return false
+        return entryTokens.every((token, index) => tokens[index] === token)
+    })
+}
+
+/**
+ * Keeps the start and the end of long output, where errors usually are
+ * @param {string} output - Captured output
+ * @param {number} limit - Maximum number of characters
+ * @returns {{text: string, truncated: boolean}}
+ */
+function truncate (output, limit) {
+    if (output.length <= limit) return { text: output, truncated: false }
+    const half = Math.floor(limit / 2)
+    const omitted = output.length - half * 2
+    return { text: `${output.slice(0, half)}\n... ${omitted} characters omitted ...\n${output.slice(-half)}`, truncated: true }
+}
+
+function runCommand (runId, command, cwd) {
+    const settings = getSettings()
+    const tokens = tokenize(command || '')
+    if (!tokens.length) {
+        throw new Error('A command is required')
+    }
+    if (!isAllowedCommand(tokens, settings.allowedCommands)) {
+        throw new Error(`"${command}" is not on the allow-list. Allowed commands: ${settings.allowedCommands.join(', ')}`)
+    }
+    const isWindows = process.platform === 'win32'
+    if (isWindows && WINDOWS_SHELL_CHARACTERS.test(command)) {
+        throw new Error('Shell operators are not allowed in commands')
+    }
+    const workingDirectory = resolveAllowedPath(cwd)
+
+    return new Promise((resolve, reject) => {
+        const startTime = Date.now()
+        const child = spawn(tokens[0], tokens.slice(1), {
+            cwd: workingDirectory,
+            env: process.env,
+            shell: isWindows, // Needed for npm and other .cmd launchers on Windows
+            windowsHide: true
+        })
+        runningCommands.set(runId, child)
+
+        let stdout = ''
+        let stderr = ''
+        let timedOut = false
+        // Stop collecting far beyond the limit, truncate() keeps the start and end
+        const collect = (output, data) => output.length > settings.maxOutput * 4 ? output : output + data.toString()
+        child.stdout.on('data', (data) => { stdout = collect(stdout, data) })
+        child.stderr.on('data', (data) => { stderr = collect(stderr, data) })
+
+        const timer = setTimeout(() => {
+            timedOut = true
+            child.kill('SIGTERM')
+            setTimeout(() => child.kill('SIGKILL'), 2000)
+        }, settings.timeout)
+
+        child.on('error', (error) => {
+            clearTimeout(timer)
+            runningCommands.delete(runId)
+            reject(new Error(`Failed to run "${command}": ${error.message}`))
+        })
+
+        child.on('close', (exitCode, signal) => {
+            clearTimeout(timer)
+            runningCommands.delete(runId)
+            const out = truncate(stdout, settings.maxOutput)
+            const err = truncate(stderr, settings.maxOutput)
+            resolve({
+                command,
+                cwd: workingDirectory,
+                exitCode,
+                signal,
+                timedOut,
+                durationMs: Date.now() - startTime,
+                stdout: out.text,
+                stderr: err.text,
+                truncated: out.truncated || err.truncated
+            })
+        })
+    })
+}
+
+function registerShellCommandHandlers () {
+    ipcMain.handle('RUN_COMMAND', async (event, runId, command, cwd) => runCommand(runId, command, cwd))
+
+    ipcMain.handle('CANCEL_COMMAND', async (event, runId) => {
+        const child = runningCommands.get(runId)
+        if (child) child.kill('SIGTERM')
+    })
+
+    ipcMain.handle('GET_COMMAND_SETTINGS', async () => getSettings())
+
+    ipcMain.handle('SET_COMMAND_SETTINGS', async (event, settings) => {
+        const { allowedCommands, timeout } = settings || {}
+        const update = {}
+        if (Array.isArray(allowedCommands)) update.allowedCommands = allowedCommands.map(String).filter((entry) => entry.trim())
+        if (Number.isFinite(timeout) && timeout > 0) update.timeout = timeout
+        return saveSettings(update)
+    })
+
+    // Do not leave commands running after the app quits
+    app.on('will-quit', () => runningCommands.forEach((child) => child.kill()))
+}
+
+module.exports = { registerShellCommandHandlers }
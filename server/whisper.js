@@ -0,0 +1,309 @@
+const { app, ipcMain } = require('electron')
+const { spawn } = require('child_process')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+/**
+ * Offline speech-to-text with a local whisper.cpp binary (whisper-cli).
+ * The renderer streams 16-bit PCM per transcription session. The audio is resampled
+ * to 16 kHz, cut into chunks at pauses in the speech and each chunk is transcribed
+ * by running the binary on a temporary WAV file. No audio leaves the machine.
+ */
+
+const DEFAULT_SETTINGS = {
+    binaryPath: '',
+    modelPath: '',
+    language: 'en',
+    threads: 4,
+    minChunkSeconds: 2,
+    maxChunkSeconds: 8,
+    timeout: 60000
+}
+const SAMPLE_RATE = 16000 // whisper.cpp only accepts 16 kHz mono
+const PAUSE_SECONDS = 0.6 // Silence that ends a chunk once it is long enough
+const SILENCE_LEVEL = 400 // RMS of 16-bit samples below which audio counts as silence
+const MAX_PENDING_CHUNKS = 3 // Chunks are dropped when transcription falls further behind
+
+const sessions = new Map() // session id -> transcription session
+
+const getSettingsPath = () => path.join(app.getPath('userData'), 'whisper.json')
+
+function getSettings () {
+    try {
+        return { ...DEFAULT_SETTINGS, ...JSON.parse(fs.readFileSync(getSettingsPath(), 'utf8')) }
+    } catch (error) {
+        return { ...DEFAULT_SETTINGS }
+    }
+}
+
+function saveSettings (settings) {
+    const merged = { ...getSettings(), ...settings }
+    fs.writeFileSync(getSettingsPath(), JSON.stringify(merged, null, 4))
+    return merged
+}
+
+/**
+ * Converts 16-bit PCM to 16 kHz with linear interpolation
+ * @param {Buffer} data - Little-endian 16-bit mono PCM
+ * @param {number} sampleRate - Sample rate of the data
+ * @returns {Int16Array}
+ */
+function toWhisperSamples (data, sampleRate) {
+    const input = new Int16Array(Math.floor(data.length / 2))
+    for (let i = 0; i < input.length; i++) input[i] = data.readInt16LE(i * 2)
+    if (sampleRate === SAMPLE_RATE) return input
+
+    const ratio = sampleRate / SAMPLE_RATE
+    const output = new Int16Array(Math.floor(input.length / ratio))
+    for (let i = 0; i < output.length; i++) {
+        const position = i * ratio
+        const index = Math.floor(position)
+        const next = Math.min(index + 1, input.length - 1)
+        output[i] = Math.round(input[index] + (input[next] - input[index]) * (position - index))
+    }
+    return output
+}
+
+function isSilent (samples) {
+    if (!samples.length) return true
+    let sum = 0
+    for (const sample of samples) sum += sample * sample
+    return Math.sqrt(sum / samples.length) < SILENCE_LEVEL
+}
+
+/**
+ * @param {Int16Array} samples - 16 kHz mono samples
+ * @returns {Buffer} WAV file contents
+ */
+function toWav (samples) {
+    const header = Buffer.alloc(44)
+    const dataSize = samples.length * 2
+    header.write('RIFF', 0)
+    header.writeUInt32LE(36 + dataSize, 4)
+    header.write('WAVE', 8)
+    header.write('fmt ', 12)
+    header.writeUInt32LE(16, 16) // Size of the fmt chunk
+    header.writeUInt16LE(1, 20) // PCM
+    header.writeUInt16LE(1, 22) // Mono
+    header.writeUInt32LE(SAMPLE_RATE, 24)
+    header.writeUInt32LE(SAMPLE_RATE * 2, 28) // Byte rate
+    header.writeUInt16LE(2, 32) // Block align
+    header.writeUInt16LE(16, 34) // Bits per sample
+    header.write('data', 36)
+    header.writeUInt32LE(dataSize, 40)
+    return Buffer.concat([header, Buffer.from(samples.buffer, samples.byteOffset, dataSize)])
+}
+
+/**
+ * Removes the markers whisper.cpp prints for non-speech, e.g. [BLANK_AUDIO] or (music)
+ * @param {string} output - Standard output of whisper-cli
+ * @returns {string}
+ */
+function cleanTranscript (output) {
+    return output
+        .replace(/\[[^\]]*\]|\([^)]*\)/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+}
+
+function send (session, channel, payload) {
+    if (!session.webContents.isDestroyed()) {
+        session.webContents.send(channel, session.id, payload)
+    }
+}
+
+/**
+ * Runs whisper-cli on one chunk of audio
+ * @param {Object} session - Transcription session
+ * @param {Int16Array} samples - 16 kHz mono samples
+ * @returns {Promise<string>} The transcript
+ */
+function runWhisper (session, samples) {
+    const { settings } = session
+    const wavPath = path.join(os.tmpdir(), `whisper-${session.id}-${session.chunkCount++}.wav`)
+    fs.writeFileSync(wavPath, toWav(samples))
+
+    return new Promise((resolve, reject) => {
+        const args = ['-m', settings.modelPath, '-f', wavPath, '-t', String(settings.threads), '-nt', '-np']
+        if (settings.language) args.push('-l', settings.language)
+        const child = spawn(settings.binaryPath, args, { windowsHide: true })
+        session.child = child
+
+        let stdout = ''
+        let stderr = ''
+        child.stdout.on('data', (data) => { stdout += data.toString() })
+        child.stderr.on('data', (data) => { stderr = (stderr + data.toString()).slice(-2000) })
+
+        const timer = setTimeout(() => child.kill(), settings.timeout)
+        const finish = () => {
+            clearTimeout(timer)
+            session.child = null
+            fs.unlink(wavPath, () => {})
+        }
+
+        child.on('error', (error) => {
+            finish()
+            reject(new Error(`Failed to run whisper.cpp: ${error.message}`))
+        })
+
+        child.on('close', (exitCode, signal) => {
+            finish()
+            if (exitCode === 0) {
+                resolve(cleanTranscript(stdout))
+            } else {
+                const reason = signal ? `was stopped (${signal})` : `exited with code ${exitCode}`
+                reject(new Error(`whisper.cpp ${reason}: ${stderr.trim().split('\n').pop() || 'no output'}`))
+            }
+        })
+    })
+}
+
+/**
+ * Queues the buffered audio for transcription and starts a new chunk
+ * @param {Object} session - Transcription session
+ */
+function flushChunk (session) {
+    const { buffered, voiced } = session
+    session.buffered = []
+    session.bufferedLength = 0
+    session.silentLength = 0
+    session.voiced = false
+    if (!voiced) return
+
+    if (session.pending >= MAX_PENDING_CHUNKS) {
+        console.warn('whisper.cpp cannot keep up, dropping audio')
+        send(session, 'WHISPER_ERROR', 'Transcription is falling behind, some speech was skipped')
+        return
+    }
+
+    const samples = new Int16Array(buffered.reduce((length, block) => length + block.length, 0))
+    let offset = 0
+    buffered.forEach((block) => {
+        samples.set(block, offset)
+        offset += block.length
+    })
+
+    session.pending++
+    session.queue = session.queue
+        .then(() => runWhisper(session, samples))
+        .then((transcript) => {
+            if (transcript) send(session, 'WHISPER_TRANSCRIPTION', transcript)
+        })
+        .catch((error) => {
+            console.error('whisper.cpp transcription failed:', error)
+            send(session, 'WHISPER_ERROR', error.message)
+        })
+        .finally(() => { session.pending-- })
+}
+
+/**
+ * Adds audio to the current chunk, which is transcribed at the next pause
+ * once it is long enough, or when it reaches the maximum length
+ * @param {Object} session - Transcription session
+ * @param {Uint8Array} data - 16-bit PCM at the session's sample rate
+ */
+function appendAudio (session, data) {
+    const samples = toWhisperSamples(Buffer.from(data), session.sampleRate)
+    if (!samples.length) return
+
+    session.buffered.push(samples)
+    session.bufferedLength += samples.length
+    if (isSilent(samples)) {
+        session.silentLength += samples.length
+    } else {
+        session.silentLength = 0
+        session.voiced = true
+    }
+
+    const { minChunkSeconds, maxChunkSeconds } = session.settings
+    const seconds = session.bufferedLength / SAMPLE_RATE
+    const paused = session.silentLength >= PAUSE_SECONDS * SAMPLE_RATE
+    if (seconds >= maxChunkSeconds || (seconds >= minChunkSeconds && paused)) {
+        flushChunk(session)
+    } else if (!session.voiced && paused) {
+        // Do not keep collecting silence before the speech starts
+        session.buffered = []
+        session.bufferedLength = 0
+    }
+}
+
+function startSession (webContents, sessionId, sampleRate) {
+    const settings = getSettings()
+    if (!settings.binaryPath || !settings.modelPath) {
+        throw new Error('Set the whisper.cpp binary and model in Settings → Local Transcription')
+    }
+    if (!fs.existsSync(settings.modelPath)) {
+        throw new Error(`whisper.cpp model not found: ${settings.modelPath}`)
+    }
+    if (path.isAbsolute(settings.binaryPath) && !fs.existsSync(settings.binaryPath)) {
+        throw new Error(`whisper.cpp binary not found: ${settings.binaryPath}`)
+    }
+    if (!Number.isFinite(sampleRate) || sampleRate < SAMPLE_RATE / 4) {
+        throw new Error(`Unsupported sample rate: ${sampleRate}`)
+    }
+
+    sessions.set(sessionId, {
+        id: sessionId,
+        webContents,
+        sampleRate,
+        settings,
+        buffered: [],
+        bufferedLength: 0,
+        silentLength: 0,
+        voiced: false,
+        pending: 0,
+        chunkCount: 0,
+        queue: Promise.resolve(),
+        child: null
+    })
+    // Stop transcribing when the window is closed or reloaded without stopping the session
+    webContents.once('destroyed', () => stopSession(sessionId, false))
+}
+
+/**
+ * Ends a session, the audio buffered so far is transcribed unless discarded
+ * @param {string} sessionId
+ * @param {boolean} flush - Whether to transcribe the remaining audio
+ * @returns {Promise<void>} Resolves once the queued chunks are transcribed
+ */
+function stopSession (sessionId, flush) {
+    const session = sessions.get(sessionId)
+    if (!session) return Promise.resolve()
+    sessions.delete(sessionId)
+
+    if (flush) {
+        flushChunk(session)
+    } else if (session.child) {
+        session.child.kill()
+    }
+    return session.queue
+}
+
+function registerWhisperHandlers () {
+    ipcMain.handle('WHISPER_START', async (event, sessionId, sampleRate) => startSession(event.sender, sessionId, sampleRate))
+
+    // Sent without a reply, audio arrives many times per second
+    ipcMain.on('WHISPER_AUDIO', (event, sessionId, data) => {
+        const session = sessions.get(sessionId)
+        if (session) appendAudio(session, data)
+    })
+
+    ipcMain.handle('WHISPER_STOP', async (event, sessionId) => stopSession(sessionId, true))
+
+    ipcMain.handle('GET_WHISPER_SETTINGS', async () => getSettings())
+
+    ipcMain.handle('SET_WHISPER_SETTINGS', async (event, settings) => {
+        const { binaryPath, modelPath, language } = settings || {}
+        const update = {}
+        if (typeof binaryPath === 'string') update.binaryPath = binaryPath.trim()
+        if (typeof modelPath === 'string') update.modelPath = modelPath.trim()
+        if (typeof language === 'string') update.language = language.trim()
+        return saveSettings(update)
+    })
+
+    // Do not leave whisper.cpp running after the app quits
+    app.on('will-quit', () => sessions.forEach((session) => session.child && session.child.kill()))
+}
+
+module.exports = { registerWhisperHandlers }